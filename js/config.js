@@ -9,23 +9,173 @@ export const Config = {
   handTracking: {
     confidenceThreshold: 0.7,
     maxHands: 2,
-    updateInterval: 10,
+    inferenceRate: 30,            // 推論の目標レート（Hz）。推論中に届いたフレームは破棄する
+    statsInterval: 1000,          // handTracker:statsを発行する間隔（ミリ秒）
+    useWorker: true,              // 推論をWeb Workerで実行する（使えない場合はメインスレッドで実行）
+    workerInitTimeout: 10000,     // ワーカーの初期化を待つ時間（ミリ秒）。超えるとメインスレッドで実行
+    smoothing: true,              // ランドマークの平滑化（One Euroフィルタ）
+    smoothingMinCutoff: 1.0,      // 最小カットオフ周波数（Hz）。小さいほど静止時のジッターが減る
+    smoothingBeta: 5.0,           // 速度係数。大きいほど速い動きへの遅延が減る
+    smoothingDerivativeCutoff: 1.0, // 速度推定のカットオフ周波数（Hz）
+    velocityWindow: 100,          // 速度計算に使う履歴の時間幅（ミリ秒）
+    velocityMaxGap: 250,          // これ以上途切れた履歴は速度計算に使わない（ミリ秒）
+    historyDuration: 1500,        // handTracker:updateで渡す履歴の長さ（ミリ秒）
+    identityMaxDistance: 25,      // 前フレームの手と同一とみなす最大距離（シーン座標）
+    identityGracePeriod: 500,     // 見失った手のIDを保持する時間（ミリ秒）
+    lossHoldTime: 300,            // 見失った手を速度から予測して保持する時間（ミリ秒、0で無効）
+    handednessHysteresis: 5,      // 左右判定を切り替えるのに必要な連続フレーム数
+    cameraDevice: '',             // 使用するカメラのdeviceId（空の場合は既定のカメラ）
+    cameraResolution: '640x480',  // 取得する映像の解像度（幅x高さ）
+    cameraFrameRate: 30,          // 取得する映像の目標フレームレート
   },
   
-  // 粒子システム設定
+  // 座標変換設定（ランドマーク → Three.jsのシーン座標）
+  mapping: {
+    mirror: true,          // 映像を鏡像表示する（ランドマークも左右反転して配置）
+    fit: 'cover',          // 映像の表示方法：'cover'（画面を埋めてはみ出しを切る）または'contain'（余白あり）
+    depth: 0,              // 手を配置する平面のZ座標（シーン座標）
+    depthScale: 50,        // ランドマークの相対的な奥行きをシーン座標に換算する係数
+  },
+  
+  // 入力ソース設定
+  input: {
+    defaultSource: 'auto', // 'auto'（カメラがなければポインター）、'camera'、'pointer'
+  },
+  
+  // ポインター入力設定（マウス・タッチ・ペン）
+  pointerInput: {
+    maxHands: 2,
+    multiTouchMode: 'hands', // 'hands'（ポインターごとに手）または'fingers'（1つの手の指先）
+    handSize: 0.2,         // 合成する手の大きさ（画面の高さに対する比率）
+    trackHover: true,      // マウスはボタンを押していなくても手として追跡
+    mirror: true,          // カメラ映像と同じく左右反転した座標系に合わせる（座標変換サービスがない場合）
+  },
+  
+  // ジェスチャー認識設定
+  gestures: {
+    enabled: true,
+    minConfidence: 0.7,    // ジェスチャーとみなす最小信頼度
+    stableFrames: 3,       // 切り替えに必要な連続フレーム数
+    pinchThreshold: 0.35,  // ピンチ判定距離（手の大きさに対する比率）
+  },
+  
+  // 動的ジェスチャー認識設定（距離はシーン座標、時間はミリ秒、速度はシーン座標/秒）
+  motionGestures: {
+    enabled: true,
+    cooldown: 400,         // 検出後に次の検出を受け付けない時間
+    swipeMaxDuration: 500, // スワイプの判定に使う時間幅
+    swipeMinDistance: 20,  // スワイプとみなす最小移動距離
+    swipeMinSpeed: 80,     // スワイプとみなす最小速度
+    swipeStraightness: 0.8, // 移動距離 / 経路長の下限（まっすぐな動きのみ）
+    swipeSettleTime: 150,  // 折り返し（手を振る動き）でないことを確認する待ち時間
+    circleMaxDuration: 1500, // 円の判定に使う時間幅
+    circleMinRadius: 5,    // 円とみなす最小半径
+    circleMinTurn: 0.9,    // 円とみなす回転量（1周に対する比率）
+    waveMaxDuration: 1200, // 手を振る動きの判定に使う時間幅
+    waveMinReversals: 3,   // 手を振る動きとみなす折り返し回数
+    waveMinAmplitude: 6,   // 折り返しとみなす最小の振れ幅
+    tapMaxDuration: 400,   // エアタップの判定に使う時間幅
+    tapMinDepth: 2,        // エアタップとみなす指先の最小の押し出し量
+    tapMaxDrift: 6,        // エアタップ中に許容する手の横方向の移動
+  },
+  
+  // 両手の解析設定（距離はシーン座標、時間はミリ秒、速度はシーン座標/秒）
+  twoHands: {
+    enabled: true,
+    spanMin: 10,           // 正規化した間隔が0になる手のひらの間隔
+    spanMax: 90,           // 正規化した間隔が1になる手のひらの間隔
+    angleRange: 60,        // 正規化した角度が0～1になる傾きの範囲（±度）
+    cooldown: 600,         // 検出後に次の検出を受け付けない時間
+    clapDistance: 12,      // 拍手とみなす手のひらの間隔
+    clapMinSpeed: 150,     // 拍手とみなす最小の接近速度
+    clapWindow: 250,       // 接近速度の判定に使う時間幅
+    stretchWindow: 800,    // 広げる・寄せる動きの判定に使う時間幅
+    stretchMinDistance: 30, // 広げる・寄せる動きとみなす最小の間隔の変化
+    stretchStraightness: 0.8, // 間隔の変化 / 変化の合計の下限
+    stretchSettleSpeed: 30, // 動きが止まったとみなす間隔の変化速度
+    spanBinding: '',       // 間隔を割り当てる粒子の設定（空欄で無効）
+    angleBinding: '',      // 角度を割り当てる粒子の設定（空欄で無効）
+  },
+  
+  // セッション記録設定
+  recording: {
+    maxFrames: 36000,      // 記録する最大フレーム数
+    precision: 3,          // 座標を丸める小数点以下の桁数
+  },
+  
+  // セッション再生設定
+  playback: {
+    loop: true,            // 終端に達したら先頭から再生
+    speed: 1.0,            // 再生速度
+  },
+  
+  // 粒子システム設定（時間は秒、速度は単位/秒で、フレームレートに依存しない）
   particles: {
     count: 1000,           // 粒子の最大数
     size: 0.5,             // 粒子の基本サイズ
-    maxSpeed: 2.0,         // 粒子の最大速度
-    lifetime: 1500,        // 粒子の寿命（フレーム数）
+    sizeOverLifetime: [0.6, 1.0, 1.0, 0.4], // 寿命に対するサイズの倍率（放出から消滅までを等分した点の値、間は線形補間）
+    opacity: 0.8,          // 粒子の不透明度
+    softness: 0.6,         // 粒子の縁のぼかし（0で硬い円、1で中心から徐々に透明に）
+    fadeIn: 0.15,          // 放出直後に徐々に現れる時間（秒）
+    fadeOut: 0.5,          // 消える前に徐々に透明になる時間（秒）
+    maxSpeed: 120,         // 粒子の最大速度（単位/秒）
+    lifetime: 25,          // 粒子の寿命（秒）
     colors: [              // 粒子の色バリエーション
       '#ff4444', '#44ff44', '#4444ff', '#ffff44', '#ff44ff'
     ],
-    emissionRate: 5,       // 指先からの放出レート（フレームあたり）
-    gravity: 0.03,         // 重力の強さ
-    friction: 0.98,        // 摩擦係数（減衰）
+    colorMode: 'random',   // 色の決め方（random: パレットからランダム、lifetime: 寿命、speed: 速度、hand: 放出した手、finger: 放出した指、distance: 手からの距離）
+    colorGradient: [       // lifetime、speed、distanceで使うグラデーション（positionは0～1）
+      { position: 0, color: '#ffffff' },
+      { position: 0.3, color: '#ffdd44' },
+      { position: 0.7, color: '#ff4444' },
+      { position: 1, color: '#442288' }
+    ],
+    colorDistanceRange: 60, // distanceでグラデーションの終端になる手からの距離（シーン座標）
+    emissionRate: 90,      // 指先からの放出レート（1本の指の1秒あたりの放出数）
+    curlEmission: true,    // 指の曲がり具合に応じて放出量を連続的に変える（falseでは伸びた指からのみ放出）
+    gravity: 108,          // 重力加速度（単位/秒²）
+    friction: 0.3,         // 摩擦（1秒後に残る速度の割合、1で減衰なし）
     bounceStrength: 0.85,  // 反発係数
     interactionRadius: 10, // 指との相互作用半径
+    interactionMode: 'tips', // 相互作用に使う部位（tips: 指先、joints: 21点の関節、skeleton: 骨の線分）
+    momentumTransfer: 12,  // 触れている間に指の速度を粒子に伝える割合（1秒あたり）
+    fingertipEmission: true, // 伸びた指先から放出する（エミッターとは別の標準の放出）
+    emitters: [],          // 設定パネルで編集するエミッター [{ key, shape, ...設定 }]（keyは設定の識別子、既定値はemittersの設定）
+    overflowPolicy: 'recycleOldest', // 粒子が満杯のときの扱い（recycleOldest: 最も古い粒子を上書き、recycleRandom: ランダムに上書き、drop: 放出しない）
+    maxDeltaTime: 0.1,     // 1フレームの物理計算に使う経過時間の上限（秒、間隔が空いたフレームで粒子が飛ばないように）
+  },
+  
+  // 力場設定（強さは粒子に加える加速度（単位/秒²）、dragのみ1秒で失う速度の割合）
+  forceFields: {
+    defaults: {
+      radius: 30,          // 影響半径（シーン座標、0で無限）
+      strength: 360,       // 強さ
+      falloff: 'smooth',   // 距離による減衰（none、linear、smooth、inverseSquare）
+      noiseScale: 20,      // 乱流の渦の大きさ（シーン座標）
+      noiseSpeed: 0.5,     // 乱流の時間変化の速さ
+    },
+    fields: [],            // 起動時に追加する力場 [{ type, ...設定 }]
+    gestureFields: true,   // グーの手に引力、パーの手に斥力を追従させる
+  },
+  
+  // エミッター設定
+  emitters: {
+    defaults: {
+      handedness: null,    // 追従する手（Left、Right、nullで両手）
+      landmark: 'palm',    // point、ring、discの基準の関節（0～20または'palm'）
+      landmarks: [4, 8],   // lineの両端の関節（既定は親指と人差し指の指先）
+      bone: 0,             // boneの骨（HandLandmarks.CONNECTIONSのインデックス）
+      radius: 0.6,         // ring、discの半径（手首～中指の付け根の長さに対する割合）
+      rate: 60,            // 1秒あたりの放出数
+      burst: 0,            // 手が現れたときにまとめて放出する数
+      direction: 'normal', // 放出方向 { x, y, z }（normalで形状の基準の向き）
+      spread: 30,          // 放出方向の円錐の半角（度）
+      speed: 60,           // 初速（単位/秒）
+      speedVariation: 0.5, // 初速のばらつき（割合）
+      lifetime: null,      // 寿命（秒、nullで粒子の寿命の設定）
+      color: null,         // 色（nullで粒子の色の決め方に従う）
+    },
+    maxDeltaTime: 0.1,     // 1フレームで放出する量の計算に使う経過時間の上限（秒）
   },
   
   // レンダリング設定
@@ -40,8 +190,44 @@ export const Config = {
   ui: {
     showHandSkeleton: true,
     controlPanelVisible: true,
-    skeletonColor: '#3498db',
+    skeletonColor: '#3498db', // 左右が不明な手の色
     jointRadius: 5,
+    lineWidth: 2,
+    overlayStyle: 'bones', // 骨格の描画スタイル（dots、bones、neon、fingertips、box）
+    overlayColorMode: 'hand', // 色分け（hand: 手ごと、finger: 指ごと）
+    overlayLabels: true,   // 手の左右と現在のジェスチャーを表示
+    handColors: {          // 手ごとの色（MediaPipeの左右ラベル）
+      Left: '#3498db',
+      Right: '#e67e22'
+    },
+    fingerColors: [        // 指ごとの色（親指、人差し指、中指、薬指、小指）
+      '#e74c3c', '#f1c40f', '#2ecc71', '#3498db', '#9b59b6'
+    ],
+  },
+  
+  // 外部ライブラリの配置先（ローカルを先に試し、見つからなければCDNから読み込む）
+  assets: {
+    cdnFallback: true,     // ローカルで見つからない場合にCDNを使う（オフライン環境ではfalse）
+    three: {
+      name: 'Three.js',
+      local: 'vendor/three/three.min.js',
+      cdn: 'https://cdn.jsdelivr.net/npm/three@0.132.2/build/three.min.js',
+    },
+    mediapipeHands: {      // hands.jsとモデル・WASMファイルを置いたディレクトリ（メインスレッドでの推論）
+      name: 'MediaPipe Hands',
+      local: 'vendor/mediapipe/hands/',
+      cdn: 'https://cdn.jsdelivr.net/npm/@mediapipe/hands/',
+    },
+    mediapipeTasksVision: { // vision_bundle.mjsとwasmディレクトリを置いたディレクトリ（ワーカーでの推論）
+      name: 'MediaPipe Tasks Vision',
+      local: 'vendor/mediapipe/tasks-vision/',
+      cdn: 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14/',
+    },
+    handLandmarkerModel: { // ワーカーで使うHandLandmarkerのモデル
+      name: 'MediaPipe Hand Landmarkerモデル',
+      local: 'vendor/mediapipe/hand_landmarker.task',
+      cdn: 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task',
+    },
   },
   
   // ストレージ設定
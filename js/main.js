@@ -6,13 +6,22 @@
 
 import { Config } from './config.js';
 import { EventEmitter } from './utils/EventEmitter.js';
-import { HandTracker } from './modules/core/HandTracker.js';
+import { HandTracker, CAMERA_OPTION_KEYS } from './modules/core/HandTracker.js';
+import { CoordinateMapper } from './modules/core/CoordinateMapper.js';
+import { GestureRecognizer } from './modules/tracking/GestureRecognizer.js';
+import { MotionRecognizer } from './modules/tracking/MotionRecognizer.js';
+import { TwoHandAnalyzer } from './modules/tracking/TwoHandAnalyzer.js';
+import { SessionRecorder } from './modules/input/SessionRecorder.js';
+import { SessionPlayer } from './modules/input/SessionPlayer.js';
+import { PointerInputSource } from './modules/input/PointerInputSource.js';
 import { GameEngine } from './modules/core/GameEngine.js';
 import { ParticleSystem } from './modules/particles/ParticleSystem.js';
 import { ParticleEffects } from './modules/particles/ParticleEffects.js';
 import { UIController } from './modules/ui/UIController.js';
 import { SettingsPanel } from './modules/ui/SettingsPanel.js';
-import { StorageManager } from './modules/storage/StorageManager.js';
+import { OverlayRenderer } from './modules/ui/OverlayRenderer.js';
+import { StorageManager, SETTINGS_VERSION } from './modules/storage/StorageManager.js';
+import { AssetLoader } from './utils/AssetLoader.js';
 
 /**
  * アプリケーションのメインクラス
@@ -25,8 +34,8 @@ class HandParticlesApp {
     // イベントエミッタ（モジュール間の通信用）
     this.eventEmitter = new EventEmitter();
     
-    // モジュールの初期化
-    this.initModules();
+    // モジュールの初期化（外部ライブラリの読み込みを待つ）
+    this.ready = this.initModules();
     
     // リサイズハンドラの設定
     window.addEventListener('resize', this.handleResize.bind(this));
@@ -34,6 +43,7 @@ class HandParticlesApp {
 
   /**
    * モジュールの初期化
+   * @returns {Promise<boolean>} 初期化に成功した場合はtrue
    */
   async initModules() {
     // UIコントローラの初期化
@@ -42,12 +52,50 @@ class HandParticlesApp {
     // ストレージマネージャの初期化
     this.storageManager = new StorageManager(this.eventEmitter);
     
+    // UIを先に初期化する（ライブラリの読み込みエラーを表示できるように）
+    await this.initUI();
+    
+    // Three.jsの読み込み（ローカル → CDN）
+    try {
+      await AssetLoader.loadLibrary(Config.assets.three, 'THREE');
+    } catch (error) {
+      console.error('Error loading Three.js:', error);
+      this.eventEmitter.emit('handTracker:error', error);
+      return false;
+    }
+    
     // Three.jsの初期化
     this.initThreeJS();
     
+    // 座標変換サービスの初期化（ランドマーク・画面・シーン座標の変換）
+    this.coordinateMapper = new CoordinateMapper(Config.mapping);
+    this.coordinateMapper.setCamera(this.camera);
+    this.updateVideoPresentation();
+    
     // ハンドトラッカーの初期化
     this.handTracker = new HandTracker(Config.handTracking, this.eventEmitter);
     
+    // セッション記録・再生の初期化
+    this.sessionRecorder = new SessionRecorder(Config.recording, this.eventEmitter);
+    this.sessionPlayer = new SessionPlayer(Config.playback, this.eventEmitter);
+    
+    // 入力ソースの初期化（実行中に切り替え可能）
+    this.pointerInput = new PointerInputSource(Config.pointerInput, this.eventEmitter);
+    this.inputSources = {
+      camera: this.handTracker,
+      pointer: this.pointerInput,
+      playback: this.sessionPlayer
+    };
+    Object.values(this.inputSources).forEach(source => {
+      source.setCoordinateMapper(this.coordinateMapper);
+    });
+    this.activeInputSource = null;
+    
+    // ジェスチャー認識の初期化
+    this.gestureRecognizer = new GestureRecognizer(Config.gestures, this.eventEmitter);
+    this.motionRecognizer = new MotionRecognizer(Config.motionGestures, this.eventEmitter);
+    this.twoHandAnalyzer = new TwoHandAnalyzer(Config.twoHands, this.eventEmitter);
+    
     // 粒子システムの初期化
     this.particleSystem = new ParticleSystem(Config.particles, this.eventEmitter);
     this.particleSystem.init(this.scene);
@@ -59,15 +107,24 @@ class HandParticlesApp {
     this.gameEngine = new GameEngine({}, this.eventEmitter);
     this.gameEngine.addGameObject(this.particleSystem);
     
+    // 手の骨格の描画
+    this.overlayRenderer = new OverlayRenderer(Config.ui, this.eventEmitter);
+    this.overlayRenderer.init(document.getElementById('hand-canvas'));
+    this.overlayRenderer.setCoordinateMapper(this.coordinateMapper);
+    
     // 設定パネルの初期化
     this.settingsPanel = new SettingsPanel(this.eventEmitter);
     this.settingsPanel.init(document.body);
     
-    // UIの初期化（DOMがロードされた後）
-    this.initUI();
+    // カメラの一覧を設定パネルに反映
+    this.handTracker.listCameras();
     
     // イベントのバインド
     this.bindEvents();
+    
+    // 保存された設定の読み込み
+    this.loadSavedSettings();
+    return true;
   }
 
   /**
@@ -99,20 +156,42 @@ class HandParticlesApp {
   }
 
   /**
-   * UIの初期化
+   * UIの初期化（DOMがロードされた後）
+   * @returns {Promise<void>}
    */
   initUI() {
-    document.addEventListener('DOMContentLoaded', () => {
-      this.uiController.init();
+    return new Promise((resolve) => {
+      const init = () => {
+        this.uiController.init();
+        resolve();
+      };
       
-      // 設定がローカルストレージに保存されていれば読み込む
-      const savedSettings = this.storageManager.loadSettings();
-      if (savedSettings) {
-        this.eventEmitter.emit('settings:loaded', savedSettings);
+      if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+      } else {
+        init();
       }
     });
   }
 
+  /**
+   * ローカルストレージに保存された設定を読み込む
+   */
+  loadSavedSettings() {
+    const savedSettings = this.storageManager.loadSettings();
+    if (savedSettings) {
+      this.applySettings(savedSettings);
+      this.eventEmitter.emit('settings:loaded', savedSettings);
+    }
+    
+    // カメラの選択は設定の保存とは別に記憶している
+    const cameraSettings = this.storageManager.loadCameraSettings();
+    if (cameraSettings) {
+      this.applySettings(cameraSettings);
+      this.eventEmitter.emit('settings:loaded', cameraSettings);
+    }
+  }
+
   /**
    * イベントのバインド
    */
@@ -120,21 +199,108 @@ class HandParticlesApp {
     // ハンドトラッキングのイベント
     this.eventEmitter.on('handTracker:update', (data) => {
       this.particleSystem.updateFromHandData(data);
+      this.gestureRecognizer.update(data);
+      this.motionRecognizer.update(data);
+      this.twoHandAnalyzer.update(data);
+    });
+    
+    this.eventEmitter.on('handTracker:noHands', () => {
+      this.gestureRecognizer.reset();
+      this.motionRecognizer.reset();
+      this.twoHandAnalyzer.reset();
+    });
+    
+    // 動的ジェスチャーでエフェクトを発生させる
+    this.eventEmitter.on('handTracker:motionGesture', (motion) => {
+      this.handleMotionGesture(motion);
+    });
+    
+    // 両手の間隔と角度を粒子の設定に反映（両手が揃わなくなったら元に戻す）
+    this.eventEmitter.on('handTracker:twoHands', (values) => {
+      this.particleSystem.setBoundProperties(values.bindings);
+    });
+    
+    this.eventEmitter.on('handTracker:twoHandsLost', () => {
+      this.particleSystem.setBoundProperties({});
+    });
+    
+    this.eventEmitter.on('handTracker:twoHandGesture', (gesture) => {
+      this.handleTwoHandGesture(gesture);
+    });
+    
+    // ジェスチャー中の手に力場を追従させる
+    this.gestureFields = new Map();
+    this.eventEmitter.on('handTracker:gesture', (gesture) => {
+      this.updateGestureField(gesture.handId, gesture.gesture);
+    });
+    
+    this.eventEmitter.on('handTracker:gestureEnd', (gesture) => {
+      this.updateGestureField(gesture.handId, null);
     });
     
     // UIからのイベント
-    this.eventEmitter.on('ui:startCamera', async () => {
-      const video = document.getElementById('video');
-      if (!video) return;
-      
-      const success = await this.handTracker.init(video);
+    this.eventEmitter.on('ui:startCamera', () => {
+      this.switchInputSource('camera');
+    });
+    
+    this.eventEmitter.on('ui:stopCamera', () => {
+      this.stopInputSource('camera');
+    });
+    
+    this.eventEmitter.on('ui:startPointer', () => {
+      this.switchInputSource('pointer');
+    });
+    
+    this.eventEmitter.on('ui:stopPointer', () => {
+      this.stopInputSource('pointer');
+    });
+    
+    // セッション記録・再生
+    this.eventEmitter.on('ui:startRecording', () => {
+      this.sessionRecorder.start();
+    });
+    
+    this.eventEmitter.on('ui:stopRecording', () => {
+      this.sessionRecorder.stop();
+    });
+    
+    // 操作による停止でも記録上限での自動停止でも、停止した記録をダウンロードする
+    this.eventEmitter.on('recorder:stopped', (recording) => {
+      this.sessionRecorder.download(recording);
+    });
+    
+    this.eventEmitter.on('ui:playRecording', async (file) => {
+      const success = await this.sessionPlayer.loadFile(file);
       if (success) {
-        this.handTracker.start();
+        this.switchInputSource('playback');
       }
     });
     
-    this.eventEmitter.on('ui:stopCamera', () => {
-      this.handTracker.stop();
+    this.eventEmitter.on('ui:playbackToggle', () => {
+      if (this.sessionPlayer.isRunning) {
+        // 一時停止（再生ソースは選択したまま）
+        this.sessionPlayer.stop();
+      } else {
+        // 再開時はほかの入力ソースを止めて、2つのソースが同時に手を発行しないようにする
+        this.switchInputSource('playback');
+      }
+    });
+    
+    this.eventEmitter.on('ui:playbackSeek', (time) => {
+      this.sessionPlayer.seek(time);
+    });
+    
+    this.eventEmitter.on('ui:playbackSpeed', (speed) => {
+      this.sessionPlayer.setSpeed(speed);
+    });
+    
+    this.eventEmitter.on('ui:playbackLoop', (loop) => {
+      this.sessionPlayer.setLoop(loop);
+    });
+    
+    this.eventEmitter.on('ui:stopPlayback', () => {
+      this.stopInputSource('playback');
+      this.sessionPlayer.unload();
     });
     
     this.eventEmitter.on('ui:captureRequested', () => {
@@ -142,9 +308,25 @@ class HandParticlesApp {
     });
     
     this.eventEmitter.on('ui:settingChanged', ({ setting, value }) => {
-      // 粒子システムの設定を更新
-      const updatedSettings = { [setting]: value };
-      this.particleSystem.updateProperties(updatedSettings);
+      this.applySettings({ [setting]: value });
+      
+      // カメラの選択はすぐに記憶する
+      if (CAMERA_OPTION_KEYS.includes(setting)) {
+        this.storageManager.saveCameraSettings({ [setting]: value });
+      }
+    });
+    
+    this.eventEmitter.on('ui:settingsReset', (settings) => {
+      this.applySettings(settings);
+      
+      // カメラの選択は別に記憶しているので、初期値に戻したことも記憶する
+      const cameraSettings = {};
+      CAMERA_OPTION_KEYS.forEach(key => {
+        if (key in settings) {
+          cameraSettings[key] = settings[key];
+        }
+      });
+      this.storageManager.saveCameraSettings(cameraSettings);
     });
     
     this.eventEmitter.on('ui:resetRequested', () => {
@@ -173,8 +355,10 @@ class HandParticlesApp {
     
     this.eventEmitter.on('ui:applyCaptureSettings', (metadata) => {
       if (metadata.particleSettings) {
-        this.particleSystem.updateProperties(metadata.particleSettings);
-        this.eventEmitter.emit('settings:loaded', metadata.particleSettings);
+        // 秒単位になる前のキャプチャはフレーム単位の値を換算する
+        const settings = this.storageManager.migrateSettings(metadata.particleSettings, metadata.settingsVersion);
+        this.particleSystem.updateProperties(settings);
+        this.eventEmitter.emit('settings:loaded', settings);
       }
     });
     
@@ -183,6 +367,213 @@ class HandParticlesApp {
     });
   }
 
+  /**
+   * 動的ジェスチャーに応じたエフェクトを発生させる
+   * @param {Object} motion handTracker:motionGestureのデータ
+   */
+  handleMotionGesture(motion) {
+    const { x, y, z } = motion.position;
+    
+    switch (motion.gesture) {
+      case 'airTap':
+        this.particleEffects.createExplosion(x, y, z, 50, 5);
+        break;
+      case 'circle':
+        this.particleEffects.createVortex(x, y, 100, motion.extent * 2);
+        break;
+      case 'wave':
+        this.particleEffects.createBurst(x, y, 100);
+        break;
+    }
+  }
+
+  /**
+   * ジェスチャーに応じて手に追従する力場を付け替える（グー: 引力、パー: 斥力）
+   * @param {number} handId 手のID
+   * @param {string|null} gesture ジェスチャー名（終了時はnull）
+   */
+  updateGestureField(handId, gesture) {
+    const current = this.gestureFields.get(handId);
+    if (current) {
+      this.particleSystem.removeForceField(current);
+      this.gestureFields.delete(handId);
+    }
+    
+    if (!Config.forceFields.gestureFields) return;
+    
+    const types = { fist: 'attractor', openPalm: 'repulsor' };
+    if (!types[gesture]) return;
+    
+    const field = this.particleSystem.addForceField(types[gesture], {
+      radius: 40,
+      strength: 540,
+      binding: { handId, landmark: 'palm' }
+    });
+    this.gestureFields.set(handId, field);
+  }
+
+  /**
+   * 両手のジェスチャーに応じたエフェクトを発生させる
+   * @param {Object} gesture handTracker:twoHandGestureのデータ
+   */
+  handleTwoHandGesture(gesture) {
+    const { x, y, z } = gesture.position;
+    
+    switch (gesture.gesture) {
+      case 'clap':
+        this.particleEffects.createBurst(x, y, 150);
+        break;
+      case 'pullApart':
+        this.particleEffects.createExplosion(x, y, z, 80, gesture.span / 2);
+        break;
+      case 'pushTogether':
+        this.particleEffects.createVortex(x, y, 100, Math.abs(gesture.change) / 2);
+        break;
+    }
+  }
+
+  /**
+   * 設定を各モジュールに振り分けて反映する
+   * @param {Object} settings 設定オブジェクト
+   */
+  applySettings(settings) {
+    const handTrackingSettings = {};
+    const mappingSettings = {};
+    const twoHandSettings = {};
+    const overlaySettings = {};
+    const particleSettings = {};
+    
+    Object.entries(settings).forEach(([key, value]) => {
+      if (key in Config.handTracking) {
+        handTrackingSettings[key] = value;
+      } else if (key in Config.mapping) {
+        mappingSettings[key] = value;
+      } else if (key in Config.twoHands) {
+        twoHandSettings[key] = value;
+      } else if (key in Config.ui) {
+        overlaySettings[key] = value;
+      } else {
+        particleSettings[key] = value;
+      }
+    });
+    
+    // ハンドトラッキングの設定を更新（IDの割り当てや速度の計算の設定はほかの入力ソースにも反映する）
+    if (Object.keys(handTrackingSettings).length > 0) {
+      this.handTracker.updateOptions(handTrackingSettings);
+      this.pointerInput.updateTrackingOptions(handTrackingSettings);
+      this.sessionPlayer.updateTrackingOptions(handTrackingSettings);
+    }
+    
+    // 座標変換の設定を更新
+    if (Object.keys(mappingSettings).length > 0) {
+      this.coordinateMapper.updateOptions(mappingSettings);
+      this.updateVideoPresentation();
+    }
+    
+    // 骨格の描画の設定を更新
+    if (Object.keys(overlaySettings).length > 0) {
+      this.overlayRenderer.updateOptions(overlaySettings);
+    }
+    
+    // 両手の解析の設定を更新
+    if (Object.keys(twoHandSettings).length > 0) {
+      this.twoHandAnalyzer.updateOptions(twoHandSettings);
+    }
+    
+    // 粒子システムの設定を更新
+    if (Object.keys(particleSettings).length > 0) {
+      this.particleSystem.updateProperties(particleSettings);
+    }
+  }
+
+  /**
+   * 入力ソースを切り替える（現在の入力ソースは停止される）
+   * @param {string} name 入力ソース名（'camera'、'pointer'、'playback'）
+   * @returns {Promise<boolean>} 成功した場合はtrue
+   */
+  async switchInputSource(name) {
+    const source = this.inputSources[name];
+    if (!source) return false;
+    
+    if (this.activeInputSource && this.activeInputSource !== source) {
+      this.activeInputSource.stop();
+    }
+    this.activeInputSource = source;
+    
+    // カメラ以外の入力ソースは画面全体を映像領域とみなす
+    this.coordinateMapper.setVideoElement(name === 'camera' ? document.getElementById('video') : null);
+    
+    let success = false;
+    if (name === 'camera') {
+      success = await this.startCamera();
+    } else {
+      success = await source.start();
+    }
+    
+    if (!success) {
+      this.activeInputSource = null;
+    }
+    this.eventEmitter.emit('input:sourceChanged', success ? name : null);
+    return success;
+  }
+
+  /**
+   * 入力ソースを停止する
+   * @param {string} name 停止する入力ソース名
+   */
+  stopInputSource(name) {
+    const source = this.inputSources[name];
+    if (!source || this.activeInputSource !== source) return;
+    
+    source.stop();
+    this.activeInputSource = null;
+    this.eventEmitter.emit('input:sourceChanged', null);
+  }
+
+  /**
+   * カメラを初期化して開始する
+   * @returns {Promise<boolean>} 成功した場合はtrue
+   */
+  async startCamera() {
+    const video = document.getElementById('video');
+    if (!video) return false;
+    
+    // MediaPipeの初期化は初回のみ（ワーカーで推論する場合はhandsがないので推論先の有無で判定）
+    if (!this.handTracker.backend) {
+      const initialized = await this.handTracker.init(video);
+      if (!initialized) return false;
+    }
+    
+    return this.handTracker.start();
+  }
+
+  /**
+   * 起動時の入力ソースを選択する（カメラがない環境ではポインター入力を使う）
+   */
+  async selectInitialInputSource() {
+    const source = Config.input.defaultSource;
+    
+    if (source === 'pointer' || (source === 'auto' && !(await this.hasCamera()))) {
+      await this.switchInputSource('pointer');
+    }
+  }
+
+  /**
+   * カメラデバイスの有無を確認
+   * @returns {Promise<boolean>} カメラがある場合はtrue
+   */
+  async hasCamera() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return false;
+    
+    try {
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      return devices.some(device => device.kind === 'videoinput');
+    } catch (error) {
+      console.warn('Error enumerating devices:', error);
+      return false;
+    }
+  }
+
   /**
    * 粒子システムのキャプチャを行う
    */
@@ -194,6 +585,7 @@ class HandParticlesApp {
     // メタデータを作成
     const metadata = {
       particleSettings: this.particleSystem.getProperties(),
+      settingsVersion: SETTINGS_VERSION,
       activeParticles: this.particleSystem.particleCount,
       timestamp: new Date().toISOString(),
       screenSize: {
@@ -216,21 +608,42 @@ class HandParticlesApp {
     this.renderer.setSize(window.innerWidth, window.innerHeight);
     this.camera.aspect = window.innerWidth / window.innerHeight;
     this.camera.updateProjectionMatrix();
+    
+    // 座標変換の画面サイズを更新
+    if (this.coordinateMapper) {
+      this.coordinateMapper.setViewport(window.innerWidth, window.innerHeight);
+    }
+    
+    // 粒子の遠近によるサイズは描画領域の高さに比例する
+    if (this.particleSystem) {
+      this.particleSystem.setViewportHeight(window.innerHeight);
+    }
+    
+    // 骨格のキャンバスはサイズが変わった時だけ変更する
+    if (this.overlayRenderer) {
+      this.overlayRenderer.resize(window.innerWidth, window.innerHeight);
+    }
+  }
+
+  /**
+   * 映像の表示方法（鏡像・切り取り）を座標変換の設定に合わせる
+   */
+  updateVideoPresentation() {
+    const video = document.getElementById('video');
+    if (!video) return;
+    
+    const { mirror, fit } = this.coordinateMapper.options;
+    video.style.transform = mirror ? 'scaleX(-1)' : 'none';
+    video.style.objectFit = fit;
   }
 
   /**
    * アニメーションループ
    */
   animate() {
-    // ハンドトラッキングの描画
-    if (this.handTracker && Config.ui.showHandSkeleton) {
-      const canvas = document.getElementById('hand-canvas');
-      if (canvas) {
-        const ctx = canvas.getContext('2d');
-        canvas.width = window.innerWidth;
-        canvas.height = window.innerHeight;
-        this.handTracker.drawHands(ctx);
-      }
+    // 手の骨格の描画
+    if (this.overlayRenderer) {
+      this.overlayRenderer.render();
     }
     
     // Three.jsのレンダリング
@@ -243,8 +656,12 @@ class HandParticlesApp {
   /**
    * アプリケーションの起動
    */
-  start() {
+  async start() {
+    // ライブラリの読み込みに失敗した場合は起動しない
+    if (!(await this.ready)) return;
+    
     this.gameEngine.start();
+    this.selectInitialInputSource();
     console.log('Application started');
   }
 }
@@ -0,0 +1,191 @@
+/**
+ * CoordinateMapper.js
+ * カメラ映像の正規化座標、画面座標、Three.jsのシーン座標を相互に変換するモジュール
+ * 映像と画面のアスペクト比の違い（cover/containによる切り取り・余白）と鏡像表示を考慮し、
+ * 画面上の点をカメラの視錐台に逆投影することで、キャンバスの描画と粒子の位置を一致させる
+ */
+
+import { Config } from '../../config.js';
+
+export class CoordinateMapper {
+  /**
+   * コンストラクタ
+   * @param {Object} options 設定オプション
+   */
+  constructor(options = {}) {
+    this.options = { ...Config.mapping, ...options };
+    
+    // Three.jsのカメラ
+    this.camera = null;
+    
+    // 画面（ビューポート）のサイズ（ピクセル）
+    this.viewport = { width: window.innerWidth, height: window.innerHeight };
+    
+    // 表示中の映像要素（ない場合は画面と同じアスペクト比とみなす）
+    this.videoElement = null;
+    
+    // 計算用の作業ベクトル
+    this.vector = new THREE.Vector3();
+    this.direction = new THREE.Vector3();
+  }
+
+  /**
+   * 変換に使うカメラを設定
+   * @param {THREE.PerspectiveCamera} camera カメラ
+   */
+  setCamera(camera) {
+    this.camera = camera;
+    this.camera.updateMatrixWorld();
+  }
+
+  /**
+   * 画面のサイズを設定（ウィンドウのリサイズ時に呼び出す）
+   * @param {number} width 幅（ピクセル）
+   * @param {number} height 高さ（ピクセル）
+   */
+  setViewport(width, height) {
+    this.viewport = { width, height };
+    if (this.camera) {
+      this.camera.updateMatrixWorld();
+    }
+  }
+
+  /**
+   * ランドマークの元になる映像要素を設定
+   * @param {HTMLVideoElement|null} videoElement 映像要素
+   */
+  setVideoElement(videoElement) {
+    this.videoElement = videoElement;
+  }
+
+  /**
+   * 設定を更新
+   * @param {Object} options 更新する設定
+   */
+  updateOptions(options) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * 画面上で映像が表示されている領域を計算
+   * @returns {Object} 画面座標（0～1）での領域 { x, y, width, height }
+   */
+  getVideoRect() {
+    const { width, height } = this.viewport;
+    const video = this.videoElement;
+    
+    // 映像サイズが不明な場合は画面全体に表示されているとみなす
+    if (!video || !video.videoWidth || !video.videoHeight) {
+      return { x: 0, y: 0, width: 1, height: 1 };
+    }
+    
+    const scaleX = width / video.videoWidth;
+    const scaleY = height / video.videoHeight;
+    const scale = this.options.fit === 'contain'
+      ? Math.min(scaleX, scaleY)
+      : Math.max(scaleX, scaleY);
+    
+    const rectWidth = (video.videoWidth * scale) / width;
+    const rectHeight = (video.videoHeight * scale) / height;
+    
+    return {
+      x: (1 - rectWidth) / 2,
+      y: (1 - rectHeight) / 2,
+      width: rectWidth,
+      height: rectHeight
+    };
+  }
+
+  /**
+   * 正規化ランドマークを画面座標に変換
+   * @param {Object} landmark 正規化ランドマーク { x, y }（0～1）
+   * @returns {Object} 画面座標 { x, y }（0～1、左上が原点）
+   */
+  landmarkToScreen(landmark) {
+    const rect = this.getVideoRect();
+    const x = this.options.mirror ? 1 - landmark.x : landmark.x;
+    
+    return {
+      x: rect.x + x * rect.width,
+      y: rect.y + landmark.y * rect.height
+    };
+  }
+
+  /**
+   * 画面座標を正規化ランドマークに変換（landmarkToScreenの逆変換）
+   * @param {Object} point 画面座標 { x, y }（0～1、左上が原点）
+   * @returns {Object} 正規化ランドマーク { x, y, z }
+   */
+  screenToLandmark(point) {
+    const rect = this.getVideoRect();
+    const x = (point.x - rect.x) / rect.width;
+    
+    return {
+      x: this.options.mirror ? 1 - x : x,
+      y: (point.y - rect.y) / rect.height,
+      z: 0
+    };
+  }
+
+  /**
+   * 画面座標を指定した奥行きの平面に逆投影してシーン座標に変換
+   * @param {Object} point 画面座標 { x, y }（0～1、左上が原点）
+   * @param {number} [depth=this.options.depth] 平面のZ座標
+   * @returns {Object} シーン座標 { x, y, z }
+   */
+  screenToScene(point, depth = this.options.depth) {
+    // カメラが未設定の場合は従来の固定スケールで変換
+    if (!this.camera) {
+      return {
+        x: (point.x - 0.5) * 100,
+        y: (0.5 - point.y) * 100,
+        z: depth
+      };
+    }
+    
+    // 正規化デバイス座標からカメラの視線方向を求める
+    this.vector.set(point.x * 2 - 1, -(point.y * 2 - 1), 0.5).unproject(this.camera);
+    this.direction.copy(this.vector).sub(this.camera.position).normalize();
+    
+    // 視線と平面 z = depth の交点
+    const distance = (depth - this.camera.position.z) / this.direction.z;
+    
+    return {
+      x: this.camera.position.x + this.direction.x * distance,
+      y: this.camera.position.y + this.direction.y * distance,
+      z: depth
+    };
+  }
+
+  /**
+   * シーン座標を画面座標に投影
+   * @param {Object} point シーン座標 { x, y, z }
+   * @returns {Object} 画面座標 { x, y }（0～1、左上が原点）
+   */
+  sceneToScreen(point) {
+    if (!this.camera) {
+      return {
+        x: point.x / 100 + 0.5,
+        y: 0.5 - point.y / 100
+      };
+    }
+    
+    this.vector.set(point.x, point.y, point.z).project(this.camera);
+    
+    return {
+      x: (this.vector.x + 1) / 2,
+      y: (1 - this.vector.y) / 2
+    };
+  }
+
+  /**
+   * 正規化ランドマークをシーン座標に変換
+   * ランドマークの相対的な奥行き（zが小さいほどカメラに近い）は基準の平面からの手前方向のずれになる
+   * @param {Object} landmark 正規化ランドマーク { x, y, z }
+   * @returns {Object} シーン座標 { x, y, z }
+   */
+  landmarkToScene(landmark) {
+    const depth = this.options.depth - (landmark.z || 0) * this.options.depthScale;
+    return this.screenToScene(this.landmarkToScreen(landmark), depth);
+  }
+}
@@ -140,6 +140,9 @@ export class GameEngine {
   gameLoop(currentTime) {
     if (!this.isRunning) return;
     
+    // デルタタイム（前フレームからの経過時間、秒単位。最初のフレームは開始時刻より前の時刻が渡ることがある）
+    const deltaTime = Math.max(0, currentTime - this.lastFrameTime) / 1000;
+    
     // FPS計算
     this.calculateFPS(currentTime);
     this.lastFrameTime = currentTime;
@@ -147,9 +150,6 @@ export class GameEngine {
     
     // 一時停止中は更新しない
     if (!this.gameState.paused) {
-      // デルタタイム（前フレームからの経過時間、秒単位）
-      const deltaTime = 1.0 / this.fps;
-      
       // すべてのゲームオブジェクトを更新
       for (const obj of this.gameObjects) {
         if (obj.update) {
@@ -0,0 +1,138 @@
+/**
+ * HandInferenceWorker.js
+ * 手のランドマーク推論をメインスレッドの外で実行するWeb Worker
+ * 従来のMediaPipe Handsは読み込みにDOMを使うため、ワーカーに対応したMediaPipe Tasks VisionのHandLandmarkerを使う
+ * Tasks VisionはWASMのローダーをimportScriptsで読み込むため、モジュールではなく通常のワーカーとして起動し、
+ * vision_bundle.mjsは動的importで読み込む
+ *
+ * メッセージ（メインスレッド → ワーカー）
+ *   { type: 'init', visionUrls, modelUrls, options }  初期化（URLは絶対URLの候補を試す順に、optionsはHandLandmarkerの設定）
+ *   { type: 'frame', image, captureTime }  推論（imageはImageBitmap、転送で受け取り推論後に解放する）
+ *   { type: 'setOptions', options }  HandLandmarkerの設定を変更（numHands、信頼度の閾値）
+ * メッセージ（ワーカー → メインスレッド）
+ *   { type: 'ready', baseUrl, modelUrl } / { type: 'initError', message }
+ *   { type: 'results', results, captureTime }  handTracker:updateの元になる結果（MediaPipe Handsと同じ形式、画像は含まない）
+ *   { type: 'frameDone', captureTime } / { type: 'frameError', message, captureTime }
+ *   { type: 'optionsError', message }  設定の変更に失敗
+ */
+
+let landmarker = null;
+let lastTimestamp = -1;
+
+/**
+ * エラーをメッセージの文字列にする
+ * @param {*} error エラー
+ * @returns {string} メッセージ
+ */
+function getMessage(error) {
+  return error && error.message ? error.message : String(error);
+}
+
+/**
+ * 初期化（読み込めるまでTasks Visionとモデルの候補を順に試す）
+ * @param {string[]} visionUrls vision_bundle.mjsとwasmディレクトリの配置先の候補
+ * @param {string[]} modelUrls hand_landmarker.taskの候補
+ * @param {Object} options HandLandmarkerの設定（numHands、信頼度の閾値）
+ */
+async function init(visionUrls, modelUrls, options) {
+  const errors = [];
+  
+  for (const baseUrl of visionUrls) {
+    let vision;
+    let fileset;
+    try {
+      vision = await import(`${baseUrl}vision_bundle.mjs`);
+      fileset = await vision.FilesetResolver.forVisionTasks(`${baseUrl}wasm`);
+    } catch (error) {
+      errors.push(`${baseUrl}vision_bundle.mjs: ${getMessage(error)}`);
+      continue;
+    }
+    
+    for (const modelUrl of modelUrls) {
+      try {
+        landmarker = await vision.HandLandmarker.createFromOptions(fileset, {
+          ...options,
+          baseOptions: { modelAssetPath: modelUrl, delegate: 'CPU' },
+          runningMode: 'VIDEO'
+        });
+        self.postMessage({ type: 'ready', baseUrl, modelUrl });
+        return;
+      } catch (error) {
+        errors.push(`${modelUrl}: ${getMessage(error)}`);
+      }
+    }
+  }
+  
+  landmarker = null;
+  self.postMessage({ type: 'initError', message: errors.join(' / ') || 'No MediaPipe Tasks Vision location configured' });
+}
+
+/**
+ * 1フレームを推論
+ * @param {ImageBitmap} image フレームの画像
+ * @param {number} captureTime フレームを取得した時刻（ミリ秒、メインスレッドの時計）
+ */
+function processFrame(image, captureTime) {
+  try {
+    // VIDEOモードのタイムスタンプは単調増加である必要がある
+    const timestamp = Math.max(lastTimestamp + 1, Math.round(captureTime));
+    lastTimestamp = timestamp;
+    
+    const result = landmarker.detectForVideo(image, timestamp);
+    
+    // MediaPipe Handsの結果と同じ形式にして送る（ランドマークのみ）
+    self.postMessage({
+      type: 'results',
+      captureTime,
+      results: {
+        multiHandLandmarks: result.landmarks || [],
+        multiHandWorldLandmarks: result.worldLandmarks || [],
+        multiHandedness: (result.handednesses || []).map(([category]) => ({
+          index: category.index,
+          score: category.score,
+          label: category.categoryName
+        }))
+      }
+    });
+    self.postMessage({ type: 'frameDone', captureTime });
+  } catch (error) {
+    self.postMessage({ type: 'frameError', captureTime, message: getMessage(error) });
+  } finally {
+    image.close();
+  }
+}
+
+/**
+ * HandLandmarkerの設定を変更（初期化前の場合は何もしない）
+ * @param {Object} options HandLandmarkerの設定（numHands、信頼度の閾値）
+ */
+async function setOptions(options) {
+  if (!landmarker) return;
+  
+  try {
+    await landmarker.setOptions(options);
+  } catch (error) {
+    self.postMessage({ type: 'optionsError', message: getMessage(error) });
+  }
+}
+
+self.onmessage = (event) => {
+  const message = event.data;
+  
+  switch (message.type) {
+    case 'init':
+      init(message.visionUrls, message.modelUrls, message.options);
+      break;
+    case 'frame':
+      if (landmarker) {
+        processFrame(message.image, message.captureTime);
+      } else {
+        message.image.close();
+        self.postMessage({ type: 'frameError', captureTime: message.captureTime, message: 'HandLandmarker is not initialized' });
+      }
+      break;
+    case 'setOptions':
+      setOptions(message.options);
+      break;
+  }
+};
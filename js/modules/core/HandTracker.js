@@ -4,24 +4,53 @@
  */
 
 import { Config } from '../../config.js';
+import { HandBuilder } from '../tracking/HandBuilder.js';
+import { LandmarkFilter } from '../tracking/LandmarkFilter.js';
+import { InferenceScheduler } from './InferenceScheduler.js';
+import { InputSource } from '../input/InputSource.js';
+import { AssetLoader } from '../../utils/AssetLoader.js';
 
-export class HandTracker {
+// 変更されたらカメラを開き直す設定
+export const CAMERA_OPTION_KEYS = ['cameraDevice', 'cameraResolution', 'cameraFrameRate'];
+
+// 変更されたら推論中のモデルに反映する設定
+const MODEL_OPTION_KEYS = ['maxHands', 'confidenceThreshold'];
+
+export class HandTracker extends InputSource {
   /**
    * コンストラクタ
    * @param {Object} options 設定オプション
    * @param {EventEmitter} eventEmitter イベントエミッタ
    */
   constructor(options = {}, eventEmitter) {
+    super('camera', eventEmitter, options);
     this.options = { ...Config.handTracking, ...options };
-    this.eventEmitter = eventEmitter;
     this.hands = null;
-    this.camera = null;
+    this.worker = null;
+    this.backend = null;
+    this.stream = null;
     this.videoElement = null;
-    this.isRunning = false;
     this.lastResults = null;
-    this.handPositions = [];
-    this.handHistory = [];
-    this.frameCount = 0;
+    
+    // 推論のスケジューラ（目標レートでの間引きと遅延の計測）
+    this.scheduler = new InferenceScheduler(this.options.inferenceRate);
+    this.lastVideoTime = -1;
+    this.lastStatsTime = 0;
+    
+    // フレーム処理ループの識別子（停止・再開時に古いループを終了させる）
+    this.frameLoopId = 0;
+    this.animationFrameId = null;
+    
+    // ランドマークの平滑化フィルタ
+    this.landmarkFilter = new LandmarkFilter(this.options);
+    
+    // 検出が1フレーム途切れただけで手が消えないように予測で保持する
+    this.holdTime = this.options.lossHoldTime;
+    
+    // カメラの接続・切断を検知してデバイス一覧を更新
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+      navigator.mediaDevices.addEventListener('devicechange', () => this.listCameras());
+    }
   }
 
   /**
@@ -32,63 +61,255 @@ export class HandTracker {
   async init(videoElement) {
     this.videoElement = videoElement;
     
+    // 初期化し直す場合は前回のワーカーとHandsを破棄する
+    this.releaseBackend();
+    
     try {
-      // MediaPipe Handsの初期化
-      this.hands = new Hands({
+      // Web Workerで推論できればメインスレッドの負荷を減らせる。使えない場合はメインスレッドで実行
+      if (this.options.useWorker && await this.initWorker()) {
+        this.backend = 'worker';
+      } else {
+        await this.initMainThread();
+        this.backend = 'main';
+      }
+      
+      console.log(`HandTracker initialized successfully (${this.backend} thread)`);
+      return true;
+    } catch (error) {
+      console.error('Error initializing HandTracker:', error);
+      this.releaseBackend();
+      this.eventEmitter.emit('handTracker:error', error);
+      return false;
+    }
+  }
+
+  /**
+   * 推論先（ワーカーまたはメインスレッドのHands）を破棄する
+   */
+  releaseBackend() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    if (this.hands) {
+      this.hands.close().catch(() => {
+        // 初期化に失敗したインスタンスは閉じられない場合がある
+      });
+      this.hands = null;
+    }
+    this.backend = null;
+    this.scheduler.cancel();
+  }
+
+  /**
+   * MediaPipe Handsに渡す設定を取得
+   * @returns {Object} Hands.setOptionsの設定
+   */
+  getHandsOptions() {
+    return {
+      maxNumHands: this.options.maxHands,
+      modelComplexity: 1,
+      minDetectionConfidence: this.options.confidenceThreshold,
+      minTrackingConfidence: this.options.confidenceThreshold
+    };
+  }
+
+  /**
+   * ワーカーのHandLandmarkerに渡す設定を取得
+   * @returns {Object} HandLandmarker.createFromOptionsの設定（baseOptionsとrunningMode以外）
+   */
+  getLandmarkerOptions() {
+    return {
+      numHands: this.options.maxHands,
+      minHandDetectionConfidence: this.options.confidenceThreshold,
+      minHandPresenceConfidence: this.options.confidenceThreshold,
+      minTrackingConfidence: this.options.confidenceThreshold
+    };
+  }
+
+  /**
+   * メインスレッドでMediaPipe Handsを初期化する
+   * @returns {Promise<void>}
+   */
+  async initMainThread() {
+    // MediaPipe Handsのスクリプトを読み込む（ローカル → CDN）
+    const asset = Config.assets.mediapipeHands;
+    const scriptUrl = await AssetLoader.loadLibrary(asset, 'Hands', 'hands.js');
+    
+    // モデルとWASMはスクリプトと同じ場所を先に試し、見つからなければ残りの候補（CDN）から読み込む
+    const baseUrls = [scriptUrl, ...AssetLoader.getCandidates(asset).filter(url => url !== scriptUrl)];
+    
+    for (const baseUrl of baseUrls) {
+      const hands = new Hands({
         locateFile: (file) => {
-          return `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`;
+          return `${baseUrl}${file}`;
         }
       });
       
       // オプションの設定
-      await this.hands.setOptions({
-        maxNumHands: this.options.maxHands,
-        modelComplexity: 1,
-        minDetectionConfidence: this.options.confidenceThreshold,
-        minTrackingConfidence: this.options.confidenceThreshold
-      });
+      await hands.setOptions(this.getHandsOptions());
+      
+      // モデルとWASMを先に読み込み、見つからない場合は次の候補を試す
+      try {
+        await hands.initialize();
+      } catch (error) {
+        console.warn(`${asset.name} model files not found at ${baseUrl}`, error);
+        try {
+          await hands.close();
+        } catch (closeError) {
+          // 初期化に失敗したインスタンスは閉じられない場合がある
+        }
+        continue;
+      }
       
       // 結果処理のコールバック設定
-      this.hands.onResults((results) => this.processResults(results));
+      hands.onResults((results) => this.processResults(results));
+      this.hands = hands;
+      console.log(`${asset.name} model files loaded from ${baseUrl}`);
+      return;
+    }
+    
+    throw AssetLoader.createError(
+      { name: `${asset.name}（モデル・WASMファイル）` },
+      baseUrls
+    );
+  }
+
+  /**
+   * Web WorkerでMediaPipe Tasks VisionのHandLandmarkerを初期化する
+   * （従来のMediaPipe HandsはDOMを使って読み込むためワーカーでは動かない）
+   * @returns {Promise<boolean>} ワーカーで推論できる場合はtrue
+   */
+  async initWorker() {
+    if (typeof Worker === 'undefined' || typeof createImageBitmap === 'undefined') {
+      console.warn('Web Worker or ImageBitmap is not supported, running inference on the main thread');
+      return false;
+    }
+    
+    let worker = null;
+    try {
+      worker = new Worker(new URL('./HandInferenceWorker.js', import.meta.url));
       
-      // カメラの初期化
-      this.camera = new Camera(this.videoElement, {
-        onFrame: async () => {
-          if (this.isRunning && this.frameCount % this.options.updateInterval === 0) {
-            await this.hands.send({ image: this.videoElement });
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          reject(new Error('Hand inference worker initialization timed out'));
+        }, this.options.workerInitTimeout);
+        
+        worker.onmessage = (event) => {
+          clearTimeout(timer);
+          if (event.data.type === 'ready') {
+            console.log(`Hand inference worker loaded ${event.data.modelUrl} with ${event.data.baseUrl}`);
+            resolve();
+          } else {
+            reject(new Error(event.data.message));
           }
-          this.frameCount++;
-        },
-        width: 640,
-        height: 480
+        };
+        worker.onerror = (event) => {
+          clearTimeout(timer);
+          event.preventDefault();
+          reject(new Error(event.message || 'Hand inference worker failed to load'));
+        };
+        
+        // ワーカーからの相対パスにならないように絶対URLで渡す（ワーカーが候補を順に試す）
+        const toAbsolute = (url) => new URL(url, document.baseURI).href;
+        worker.postMessage({
+          type: 'init',
+          visionUrls: AssetLoader.getCandidates(Config.assets.mediapipeTasksVision).map(toAbsolute),
+          modelUrls: AssetLoader.getCandidates(Config.assets.handLandmarkerModel).map(toAbsolute),
+          options: this.getLandmarkerOptions()
+        });
       });
-      
-      console.log('HandTracker initialized successfully');
-      return true;
     } catch (error) {
-      console.error('Error initializing HandTracker:', error);
-      this.eventEmitter.emit('handTracker:error', error);
+      console.warn('Hand inference worker unavailable, running inference on the main thread:', error);
+      if (worker) worker.terminate();
       return false;
     }
+    
+    worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+    worker.onerror = (event) => {
+      event.preventDefault();
+      this.handleWorkerCrash(new Error(event.message || 'Hand inference worker crashed'));
+    };
+    this.worker = worker;
+    return true;
+  }
+
+  /**
+   * 初期化後にワーカーが異常終了した場合はワーカーを破棄し、メインスレッドでの推論に切り替える
+   * @param {Error} error ワーカーのエラー
+   * @returns {Promise<void>}
+   */
+  async handleWorkerCrash(error) {
+    console.error('Hand inference worker crashed, falling back to the main thread:', error);
+    this.worker.terminate();
+    this.worker = null;
+    this.scheduler.cancel();
+    
+    try {
+      await this.initMainThread();
+      this.backend = 'main';
+      console.log('HandTracker switched to the main thread');
+    } catch (fallbackError) {
+      console.error('Error initializing HandTracker on the main thread:', fallbackError);
+      this.hands = null;
+      this.backend = null;
+      this.eventEmitter.emit('handTracker:error', fallbackError);
+    }
+  }
+
+  /**
+   * ワーカーからのメッセージを処理する
+   * @param {Object} message メッセージ { type, ... }
+   */
+  handleWorkerMessage(message) {
+    switch (message.type) {
+      case 'results':
+        // 停止後に届いた結果は捨てる
+        if (this.isRunning) {
+          this.processResults(message.results);
+        }
+        break;
+      case 'frameDone':
+        this.scheduler.cancel();
+        break;
+      case 'frameError':
+        this.scheduler.cancel();
+        console.error('Error processing frame:', message.message);
+        break;
+      case 'optionsError':
+        console.error('Error updating hand inference worker options:', message.message);
+        break;
+    }
   }
 
   /**
    * 手のトラッキングを開始する
    */
   async start() {
-    if (!this.hands || !this.camera) {
+    if (!this.hands && !this.worker) {
       console.error('HandTracker not initialized');
       return false;
     }
     
     try {
+      await this.openCamera();
       this.isRunning = true;
-      await this.camera.start();
-      this.eventEmitter.emit('handTracker:started');
+      this.scheduler.reset();
+      this.lastStatsTime = performance.now();
+      
+      // フレーム処理ループを開始
+      const loopId = ++this.frameLoopId;
+      this.animationFrameId = requestAnimationFrame(() => this.processFrame(loopId));
+      
+      this.eventEmitter.emit('handTracker:started', { source: this.name });
       console.log('HandTracker started');
+      
+      // 権限が許可された後はデバイス名も取得できる
+      this.listCameras();
       return true;
     } catch (error) {
       console.error('Error starting HandTracker:', error);
+      this.closeCamera();
       this.eventEmitter.emit('handTracker:error', error);
       return false;
     }
@@ -98,14 +319,225 @@ export class HandTracker {
    * 手のトラッキングを停止する
    */
   stop() {
-    this.isRunning = false;
-    if (this.camera) {
-      this.camera.stop();
+    this.frameLoopId++;
+    if (this.animationFrameId) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
     }
-    this.eventEmitter.emit('handTracker:stopped');
+    
+    this.closeCamera();
+    super.stop();
     console.log('HandTracker stopped');
   }
 
+  /**
+   * 設定に従ってカメラの映像を取得し、ビデオ要素に接続する
+   * @returns {Promise<void>}
+   */
+  async openCamera() {
+    const [width, height] = this.options.cameraResolution.split('x').map(Number);
+    const video = {
+      width: { ideal: width },
+      height: { ideal: height },
+      frameRate: { ideal: this.options.cameraFrameRate }
+    };
+    if (this.options.cameraDevice) {
+      video.deviceId = { exact: this.options.cameraDevice };
+    }
+    
+    try {
+      this.stream = await navigator.mediaDevices.getUserMedia({ video, audio: false });
+    } catch (error) {
+      // 保存されたカメラが取り外されている場合は既定のカメラで開き直す
+      if (!video.deviceId || error.name !== 'OverconstrainedError') throw error;
+      
+      console.warn(`Camera ${this.options.cameraDevice} is not available, using the default camera`);
+      delete video.deviceId;
+      this.stream = await navigator.mediaDevices.getUserMedia({ video, audio: false });
+    }
+    this.videoElement.srcObject = this.stream;
+    await this.videoElement.play();
+    
+    const settings = this.stream.getVideoTracks()[0].getSettings();
+    console.log(`Camera opened: ${settings.width}x${settings.height} @ ${settings.frameRate}fps`);
+  }
+
+  /**
+   * カメラの映像を停止する
+   */
+  closeCamera() {
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+    }
+    if (this.videoElement) {
+      this.videoElement.srcObject = null;
+    }
+  }
+
+  /**
+   * 実行中にカメラを開き直す（デバイスや解像度の変更時）
+   * @returns {Promise<boolean>} 成功した場合はtrue
+   */
+  async restartCamera() {
+    this.closeCamera();
+    this.landmarkFilter.reset();
+    
+    try {
+      await this.openCamera();
+      this.listCameras();
+      return true;
+    } catch (error) {
+      // 実行中のまま別のデバイスを選び直せるようにする
+      console.error('Error switching camera:', error);
+      this.eventEmitter.emit('handTracker:error', error);
+      return false;
+    }
+  }
+
+  /**
+   * 映像のフレームを確認し、スケジューラが許可した場合のみMediaPipeに送る
+   * 推論の完了は待たずに次のフレームへ進む（結果はprocessResultsで受け取る）
+   * @param {number} loopId フレーム処理ループの識別子
+   */
+  processFrame(loopId) {
+    if (loopId !== this.frameLoopId) return;
+    
+    const now = performance.now();
+    const video = this.videoElement;
+    
+    // カメラの切り替え中は映像の準備ができるまで待ち、新しい映像フレームのみ対象にする
+    // ワーカーからメインスレッドへの切り替え中は推論先がないので送らない
+    const ready = this.stream && video.readyState >= 2 && (this.worker || this.hands);
+    if (ready && video.currentTime !== this.lastVideoTime) {
+      this.lastVideoTime = video.currentTime;
+      
+      if (this.scheduler.shouldRun(now)) {
+        this.scheduler.begin(now);
+        this.sendFrame(video, now);
+      }
+    }
+    
+    // 一定間隔で推論の統計を発行
+    if (now - this.lastStatsTime >= this.options.statsInterval) {
+      this.lastStatsTime = now;
+      this.eventEmitter.emit('handTracker:stats', {
+        ...this.scheduler.takeStats(now),
+        backend: this.backend
+      });
+    }
+    
+    this.animationFrameId = requestAnimationFrame(() => this.processFrame(loopId));
+  }
+
+  /**
+   * 映像のフレームを推論に送る
+   * @param {HTMLVideoElement} video ビデオ要素
+   * @param {number} captureTime フレームを取得した時刻（ミリ秒）
+   */
+  sendFrame(video, captureTime) {
+    if (this.worker) {
+      // ImageBitmapはコピーせずにワーカーへ転送する（解放はワーカー側で行う）
+      createImageBitmap(video)
+        .then((image) => {
+          this.worker.postMessage({ type: 'frame', image, captureTime }, [image]);
+        })
+        .catch((error) => {
+          this.scheduler.cancel();
+          console.error('Error capturing frame:', error);
+        });
+      return;
+    }
+    
+    this.hands.send({ image: video })
+      .then(() => this.scheduler.cancel())
+      .catch((error) => {
+        this.scheduler.cancel();
+        console.error('Error processing frame:', error);
+      });
+  }
+
+  /**
+   * 利用可能なカメラの一覧を取得してhandTracker:devicesイベントを発行する
+   * @returns {Promise<Array>} カメラの一覧 [{ deviceId, label }]
+   */
+  async listCameras() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+    
+    try {
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      const cameras = devices
+        .filter(device => device.kind === 'videoinput')
+        .map((device, index) => ({
+          deviceId: device.deviceId,
+          label: device.label || `カメラ ${index + 1}`
+        }));
+      
+      const activeDevice = this.stream
+        ? this.stream.getVideoTracks()[0].getSettings().deviceId
+        : this.options.cameraDevice;
+      
+      this.eventEmitter.emit('handTracker:devices', { devices: cameras, activeDevice });
+      return cameras;
+    } catch (error) {
+      console.warn('Error enumerating cameras:', error);
+      return [];
+    }
+  }
+
+  /**
+   * トラッキングの設定を更新する
+   * @param {Object} options 更新する設定
+   */
+  updateOptions(options) {
+    this.options = { ...this.options, ...options };
+    
+    // IDの割り当てと速度の計算の設定を反映
+    this.updateTrackingOptions(options);
+    
+    // 平滑化パラメータの反映
+    this.landmarkFilter.setParameters(options);
+    if (options.smoothing === false) {
+      this.landmarkFilter.reset();
+    }
+    
+    // 見失った手の保持時間の反映
+    if (options.lossHoldTime !== undefined) {
+      this.holdTime = options.lossHoldTime;
+    }
+    
+    // 推論レートの反映
+    if (options.inferenceRate !== undefined) {
+      this.scheduler.setTargetRate(options.inferenceRate);
+    }
+    
+    // 検出数と信頼度の閾値は初期化し直さずに推論先へ反映
+    if (MODEL_OPTION_KEYS.some(key => key in options)) {
+      this.applyModelOptions();
+    }
+    
+    // カメラの設定が変わった場合は実行中でもそのまま切り替える
+    const cameraChanged = CAMERA_OPTION_KEYS.some(key => key in options);
+    if (cameraChanged && this.isRunning) {
+      this.restartCamera();
+    }
+    
+    console.log('HandTracker options updated:', options);
+  }
+
+  /**
+   * 検出数と信頼度の閾値を推論中のワーカーまたはHandsに反映する
+   */
+  applyModelOptions() {
+    if (this.worker) {
+      this.worker.postMessage({ type: 'setOptions', options: this.getLandmarkerOptions() });
+    } else if (this.hands) {
+      Promise.resolve(this.hands.setOptions(this.getHandsOptions())).catch((error) => {
+        console.error('Error updating MediaPipe Hands options:', error);
+      });
+    }
+  }
+
   /**
    * MediaPipeの結果を処理する
    * @param {Object} results MediaPipeから得られた結果
@@ -113,163 +545,85 @@ export class HandTracker {
   processResults(results) {
     this.lastResults = results;
     
+    // 撮影から結果までの遅延を記録
+    this.scheduler.end(performance.now());
+    
     // 手の検出結果を処理
     if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-      // 新しい手の位置データ
-      const handPositions = results.multiHandLandmarks.map((landmarks, handIndex) => {
-        // 指先のインデックス（MediaPipeの指標に基づく）
-        const fingerTips = [4, 8, 12, 16, 20]; // 親指、人差し指、中指、薬指、小指の指先
-        
-        // 指先の位置を抽出
-        const tips = fingerTips.map(index => {
-          // 座標を正規化（MediaPipeは0-1の範囲、反転して-50～50くらいの範囲に）
-          const x = (0.5 - landmarks[index].x) * 100; 
-          const y = (landmarks[index].y - 0.5) * 100;
-          const z = landmarks[index].z * 100;
-          
-          return { x, y, z };
-        });
-        
-        // 手首の位置（座標変換）
-        const wrist = {
-          x: (0.5 - landmarks[0].x) * 100,
-          y: (landmarks[0].y - 0.5) * 100,
-          z: landmarks[0].z * 100
-        };
-        
-        // 手のひらの中心を計算（5つの関節点の平均）
-        const palmPoints = [0, 1, 5, 9, 13, 17]; // 手首と第1関節
-        const palm = {
-          x: palmPoints.reduce((sum, i) => sum + (0.5 - landmarks[i].x) * 100, 0) / palmPoints.length,
-          y: palmPoints.reduce((sum, i) => sum + (landmarks[i].y - 0.5) * 100, 0) / palmPoints.length,
-          z: palmPoints.reduce((sum, i) => sum + landmarks[i].z * 100, 0) / palmPoints.length
-        };
-        
-        // 指の開き具合を計算
-        const fingerExtension = fingerTips.map((tipIndex, i) => {
-          const baseIndex = tipIndex === 4 ? 2 : tipIndex - 3; // 親指は特殊
-          const baseLandmark = landmarks[baseIndex];
-          const tipLandmark = landmarks[tipIndex];
-          
-          // 指の長さと基準位置からの距離の比率で開き具合を判定
-          const distance = Math.sqrt(
-            Math.pow((baseLandmark.x - tipLandmark.x), 2) + 
-            Math.pow((baseLandmark.y - tipLandmark.y), 2)
-          );
-          
-          return distance > 0.05; // 閾値を超えると指が開いていると判定
-        });
-        
-        // 全ての関節点をフォーマット
-        const joints = landmarks.map((landmark, index) => ({
-          x: (0.5 - landmark.x) * 100,
-          y: (landmark.y - 0.5) * 100,
-          z: landmark.z * 100,
-          index: index
-        }));
-        
-        return {
-          handIndex,
-          tips,
-          wrist,
-          palm,
-          fingerExtension,
-          joints,
-          handedness: results.multiHandedness[handIndex].label
-        };
-      });
-      
-      // 手の軌跡を更新（最大10フレーム分の履歴を保持）
-      this.handHistory.push(handPositions);
-      if (this.handHistory.length > 10) {
-        this.handHistory.shift();
-      }
+      // 速度計算が推論の遅延に影響されないように撮影時刻を使う
+      const timestamp = this.scheduler.captureTime;
       
-      this.handPositions = handPositions;
+      // 新しい手の位置データ（平滑化はIDの割り当て後にrefineHandsで行う）
+      const handPositions = results.multiHandLandmarks.map((landmarks, handIndex) =>
+        HandBuilder.fromLandmarks(
+          landmarks,
+          handIndex,
+          results.multiHandedness[handIndex].label,
+          this.getWorldLandmarks(results, handIndex),
+          this.coordinateMapper
+        )
+      );
       
-      // 手の位置が更新されたイベントを発行
-      this.eventEmitter.emit('handTracker:update', {
-        hands: handPositions,
-        history: this.handHistory,
-        rawResults: results
-      });
+      this.publishHands(handPositions, { rawResults: results, timestamp });
     } else {
-      // 手が検出されない場合は空の配列をセット
-      this.handPositions = [];
-      this.eventEmitter.emit('handTracker:noHands');
+      // 保持時間内は予測した手が発行され、保持時間を過ぎるとclearHandsが呼ばれる
+      this.publishHands([], { rawResults: results, timestamp: this.scheduler.captureTime });
     }
   }
 
   /**
-   * 最新の手の位置を取得
-   * @returns {Array} 手の位置情報
+   * 手が検出されなくなったことを通知する（平滑化フィルタもリセット）
    */
-  getHandPositions() {
-    return this.handPositions;
+  clearHands() {
+    this.landmarkFilter.reset();
+    super.clearHands();
   }
   
   /**
-   * 手のトラッキング結果を描画する（デバッグ用）
-   * @param {CanvasRenderingContext2D} ctx キャンバスコンテキスト
+   * ランドマークを平滑化して手のデータを作り直す
+   * 手のIDごとにフィルタを持つので、手が入れ替わってもフィルタの状態が混ざらない
+   * @param {Array} hands IDが割り当てられた手のデータ
+   * @param {number} timestamp タイムスタンプ（ミリ秒）
+   * @returns {Array} 平滑化された手のデータ
    */
-  drawHands(ctx) {
-    if (!this.lastResults || !this.lastResults.multiHandLandmarks) return;
-    
-    const { width, height } = ctx.canvas;
-    
-    // キャンバスをクリア
-    ctx.clearRect(0, 0, width, height);
-    
-    // 手が検出されている場合に描画
-    if (this.handPositions.length > 0) {
-      this.handPositions.forEach((hand) => {
-        // 全ての関節を描画
-        hand.joints.forEach((joint) => {
-          // 座標を再変換
-          const x = width - ((joint.x + 50) * width / 100);
-          const y = (joint.y + 50) * height / 100;
-          
-          // 関節点を描画
-          ctx.beginPath();
-          ctx.arc(x, y, Config.ui.jointRadius, 0, 2 * Math.PI);
-          ctx.fillStyle = Config.ui.skeletonColor;
-          ctx.fill();
-        });
-        
-        // 指のつながりを描画
-        if (Config.ui.showHandSkeleton) {
-          ctx.strokeStyle = Config.ui.skeletonColor;
-          ctx.lineWidth = 2;
-          
-          // 手の骨格を構成する接続（MediaPipeの21点のインデックスに基づく）
-          const connections = [
-            [0, 1], [1, 2], [2, 3], [3, 4],           // 親指
-            [0, 5], [5, 6], [6, 7], [7, 8],           // 人差し指
-            [0, 9], [9, 10], [10, 11], [11, 12],      // 中指
-            [0, 13], [13, 14], [14, 15], [15, 16],    // 薬指
-            [0, 17], [17, 18], [18, 19], [19, 20],    // 小指
-            [0, 5], [5, 9], [9, 13], [13, 17]         // 手のひら
-          ];
-          
-          // 各接続を描画
-          connections.forEach(([i, j]) => {
-            const start = hand.joints[i];
-            const end = hand.joints[j];
-            
-            // 座標を再変換
-            const x1 = width - ((start.x + 50) * width / 100);
-            const y1 = (start.y + 50) * height / 100;
-            const x2 = width - ((end.x + 50) * width / 100);
-            const y2 = (end.y + 50) * height / 100;
-            
-            // 線を描画
-            ctx.beginPath();
-            ctx.moveTo(x1, y1);
-            ctx.lineTo(x2, y2);
-            ctx.stroke();
-          });
-        }
-      });
-    }
+  refineHands(hands, timestamp) {
+    if (!this.options.smoothing || !this.lastResults) return hands;
+    
+    const smoothedHands = hands.map(hand => {
+      const landmarks = this.lastResults.multiHandLandmarks[hand.handIndex];
+      const smoothed = this.landmarkFilter.apply(hand.id, landmarks, timestamp);
+      
+      // ワールドランドマークも別のキーで平滑化
+      let worldLandmarks = this.getWorldLandmarks(this.lastResults, hand.handIndex);
+      if (worldLandmarks) {
+        worldLandmarks = this.landmarkFilter.apply(`${hand.id}:world`, worldLandmarks, timestamp);
+      }
+      
+      return {
+        ...HandBuilder.fromLandmarks(
+          smoothed,
+          hand.handIndex,
+          hand.handedness,
+          worldLandmarks,
+          this.coordinateMapper
+        ),
+        id: hand.id,
+        rawHandedness: hand.rawHandedness
+      };
+    });
+    
+    this.landmarkFilter.prune(hands.flatMap(hand => [hand.id, `${hand.id}:world`]));
+    return smoothedHands;
+  }
+  
+  /**
+   * MediaPipeの結果からワールドランドマークを取得
+   * @param {Object} results MediaPipeから得られた結果
+   * @param {number} handIndex 手のインデックス
+   * @returns {Array|null} メートル単位のランドマーク（ない場合はnull）
+   */
+  getWorldLandmarks(results, handIndex) {
+    if (!results.multiHandWorldLandmarks) return null;
+    return results.multiHandWorldLandmarks[handIndex] || null;
   }
 }
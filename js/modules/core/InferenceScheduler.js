@@ -0,0 +1,125 @@
+/**
+ * InferenceScheduler.js
+ * 推論の実行タイミングを時間ベースで決めるスケジューラ
+ * 目標レート（Hz）を超えないように間引き、推論中に届いたフレームは待たせずに破棄する
+ * 撮影から結果までの遅延も計測する
+ */
+
+export class InferenceScheduler {
+  /**
+   * コンストラクタ
+   * @param {number} targetRate 目標の推論レート（Hz）
+   */
+  constructor(targetRate) {
+    this.targetRate = targetRate;
+    this.reset();
+  }
+
+  /**
+   * 計測値と状態をリセット
+   */
+  reset() {
+    this.inFlight = false;
+    this.captureTime = 0;
+    this.lastStartTime = -Infinity;
+    
+    // 統計の集計区間の値
+    this.windowStart = performance.now();
+    this.completed = 0;
+    this.dropped = 0;
+    this.skipped = 0;
+    this.latencySum = 0;
+    this.latencyMax = 0;
+    this.lastLatency = 0;
+  }
+
+  /**
+   * 目標レートを変更
+   * @param {number} targetRate 目標の推論レート（Hz）
+   */
+  setTargetRate(targetRate) {
+    this.targetRate = targetRate;
+  }
+
+  /**
+   * フレームを推論に回すかどうかを判定
+   * @param {number} now 現在時刻（ミリ秒）
+   * @returns {boolean} 推論を開始してよい場合はtrue
+   */
+  shouldRun(now) {
+    // 映像のフレーム間隔の揺らぎで間引きすぎないように1割の余裕を持たせる
+    if (now - this.lastStartTime < (1000 / this.targetRate) * 0.9) {
+      this.skipped++;
+      return false;
+    }
+    
+    // 前の推論が終わっていないフレームは破棄する（溜め込まない）
+    if (this.inFlight) {
+      this.dropped++;
+      return false;
+    }
+    
+    return true;
+  }
+
+  /**
+   * 推論の開始を記録
+   * @param {number} captureTime フレームを取得した時刻（ミリ秒）
+   */
+  begin(captureTime) {
+    this.inFlight = true;
+    this.captureTime = captureTime;
+    this.lastStartTime = captureTime;
+  }
+
+  /**
+   * 推論の完了を記録
+   * @param {number} now 結果を受け取った時刻（ミリ秒）
+   * @returns {number} 撮影から結果までの遅延（ミリ秒）
+   */
+  end(now) {
+    if (!this.inFlight) return 0;
+    
+    this.inFlight = false;
+    this.lastLatency = now - this.captureTime;
+    this.latencySum += this.lastLatency;
+    this.latencyMax = Math.max(this.latencyMax, this.lastLatency);
+    this.completed++;
+    
+    return this.lastLatency;
+  }
+
+  /**
+   * 推論が失敗した場合に状態を戻す
+   */
+  cancel() {
+    this.inFlight = false;
+  }
+
+  /**
+   * 集計区間の統計を取得して次の区間を開始
+   * @param {number} now 現在時刻（ミリ秒）
+   * @returns {Object} 統計 { targetRate, inferenceRate, latency, maxLatency, lastLatency, droppedFrames, skippedFrames }
+   */
+  takeStats(now) {
+    const elapsed = (now - this.windowStart) / 1000;
+    const stats = {
+      targetRate: this.targetRate,
+      inferenceRate: elapsed > 0 ? this.completed / elapsed : 0,
+      latency: this.completed > 0 ? this.latencySum / this.completed : 0,
+      maxLatency: this.latencyMax,
+      lastLatency: this.lastLatency,
+      droppedFrames: this.dropped,
+      skippedFrames: this.skipped
+    };
+    
+    this.windowStart = now;
+    this.completed = 0;
+    this.dropped = 0;
+    this.skipped = 0;
+    this.latencySum = 0;
+    this.latencyMax = 0;
+    
+    return stats;
+  }
+}
@@ -0,0 +1,244 @@
+/**
+ * InputSource.js
+ * 手のデータを生成する入力ソースの基底クラス
+ * カメラ、ポインター、記録再生などの入力ソースはすべてこのクラスを継承し、
+ * 同じ形式のhandTracker:updateイベントを発行する
+ */
+
+import { Config } from '../../config.js';
+import { HandKinematics } from '../tracking/HandKinematics.js';
+import { HandIdentityTracker } from '../tracking/HandIdentityTracker.js';
+
+// 入力ソースごとに変更できる手の追跡の設定（IDの割り当て、速度の計算、履歴の長さ）
+export const TRACKING_OPTION_KEYS = [
+  'identityMaxDistance', 'identityGracePeriod', 'handednessHysteresis',
+  'velocityWindow', 'velocityMaxGap', 'historyDuration'
+];
+
+export class InputSource {
+  /**
+   * コンストラクタ
+   * @param {string} name 入力ソース名（'camera'、'pointer'など）
+   * @param {EventEmitter} eventEmitter イベントエミッタ
+   * @param {Object} [trackingOptions={}] 手の追跡の設定（Config.handTrackingの値を上書きする）
+   */
+  constructor(name, eventEmitter, trackingOptions = {}) {
+    this.name = name;
+    this.eventEmitter = eventEmitter;
+    this.isRunning = false;
+    this.handPositions = [];
+    this.trackingOptions = { ...Config.handTracking, ...trackingOptions };
+    
+    // 過去のフレーム（{ timestamp, hands }の配列、古い順）
+    this.handHistory = [];
+    
+    // フレーム間で手に永続的なIDを割り当てる
+    this.identityTracker = new HandIdentityTracker(this.trackingOptions, eventEmitter);
+    
+    // 速度・加速度の計算
+    this.kinematics = new HandKinematics(this.trackingOptions);
+    
+    // ランドマークをシーン座標に変換するサービス（setCoordinateMapperで設定）
+    this.coordinateMapper = null;
+    
+    // 見失った手を予測で保持する時間（ミリ秒、0で無効。検出が途切れやすい入力ソースで設定）
+    this.holdTime = 0;
+    
+    // 見失った手（ID → { hand, lostAt }）と直前のフレームのタイムスタンプ
+    this.lostHands = new Map();
+    this.lastTimestamp = 0;
+  }
+
+  /**
+   * 座標変換サービスを設定
+   * @param {CoordinateMapper} mapper 座標変換サービス
+   */
+  setCoordinateMapper(mapper) {
+    this.coordinateMapper = mapper;
+  }
+
+  /**
+   * 手の追跡の設定を更新する
+   * @param {Object} options 更新する設定（TRACKING_OPTION_KEYS以外は無視する）
+   */
+  updateTrackingOptions(options) {
+    const changes = {};
+    TRACKING_OPTION_KEYS.forEach(key => {
+      if (options[key] !== undefined) {
+        changes[key] = options[key];
+      }
+    });
+    
+    Object.assign(this.trackingOptions, changes);
+    Object.assign(this.identityTracker.options, changes);
+    Object.assign(this.kinematics.options, changes);
+  }
+
+  /**
+   * 入力を開始する（サブクラスでオーバーライド）
+   * @returns {Promise<boolean>} 成功した場合はtrue
+   */
+  async start() {
+    this.isRunning = true;
+    this.eventEmitter.emit('handTracker:started', { source: this.name });
+    return true;
+  }
+
+  /**
+   * 入力を停止する（サブクラスでオーバーライド）
+   */
+  stop() {
+    this.isRunning = false;
+    this.clearHands();
+    this.identityTracker.reset();
+    this.eventEmitter.emit('handTracker:stopped', { source: this.name });
+  }
+
+  /**
+   * 手のデータを発行する
+   * @param {Array} hands 手のデータ配列
+   * @param {Object} [extra={}] イベントに追加するデータ（rawResults、timestampなど）
+   */
+  publishHands(hands, extra = {}) {
+    const timestamp = extra.timestamp !== undefined ? extra.timestamp : performance.now();
+    
+    // IDを割り当ててから入力ソースごとの補正を行う（空の場合は猶予期間を過ぎたIDの破棄のみ）
+    this.identityTracker.assign(hands, timestamp);
+    if (hands.length > 0) {
+      hands = this.refineHands(hands, timestamp);
+      
+      // 履歴から速度と加速度を計算
+      this.kinematics.apply(hands, this.handHistory, timestamp);
+    }
+    hands.forEach(hand => {
+      hand.predicted = false;
+      hand.confidence = 1;
+    });
+    
+    // 見失った直後の手は保持時間の間だけ予測した位置で残す
+    hands = hands.concat(this.predictLostHands(hands, timestamp));
+    if (hands.length === 0) {
+      this.clearHands();
+      return;
+    }
+    this.lastTimestamp = timestamp;
+    
+    // 手の軌跡を更新（動的ジェスチャーの判定に使えるよう一定時間分の履歴を保持）
+    // 予測した手は実際の動きではないので、速度の計算やジェスチャーの判定に使わないよう履歴に含めない
+    this.handHistory.push({ timestamp, hands: hands.filter(hand => !hand.predicted) });
+    while (timestamp - this.handHistory[0].timestamp > this.trackingOptions.historyDuration) {
+      this.handHistory.shift();
+    }
+    
+    this.handPositions = hands;
+    
+    // 手の位置が更新されたイベントを発行
+    this.eventEmitter.emit('handTracker:update', {
+      hands,
+      history: this.handHistory,
+      rawResults: null,
+      source: this.name,
+      ...extra,
+      timestamp
+    });
+  }
+
+  /**
+   * 見失った手の現在位置を最後の速度から予測する
+   * 予測した手はpredictedがtrueになり、confidenceが保持時間の経過に合わせて1から0に減っていく
+   * 保持時間はIDの猶予期間までに制限する（猶予期間を過ぎて再検出された手は新しいIDになり、予測した手と二重になるため）
+   * @param {Array} hands 現在のフレームで検出された手のデータ
+   * @param {number} timestamp 現在のフレームのタイムスタンプ（ミリ秒）
+   * @returns {Array} 予測した手のデータ
+   */
+  predictLostHands(hands, timestamp) {
+    const holdTime = Math.min(this.holdTime, this.trackingOptions.identityGracePeriod);
+    if (holdTime <= 0) return [];
+    
+    const detectedIds = new Set(hands.map(hand => hand.id));
+    
+    // 直前まで検出されていた手が消えた時点を記録
+    this.handPositions.forEach(hand => {
+      if (!hand.predicted && !detectedIds.has(hand.id)) {
+        this.lostHands.set(hand.id, { hand, lostAt: this.lastTimestamp });
+      }
+    });
+    
+    const predicted = [];
+    for (const [handId, { hand, lostAt }] of this.lostHands) {
+      const age = timestamp - lostAt;
+      if (detectedIds.has(handId) || age >= holdTime) {
+        this.lostHands.delete(handId);
+        continue;
+      }
+      
+      predicted.push(this.extrapolateHand(hand, age, 1 - age / holdTime));
+    }
+    
+    return predicted;
+  }
+
+  /**
+   * 手のデータを速度に沿って移動させた予測データを作成
+   * @param {Object} hand 最後に検出された手のデータ
+   * @param {number} age 見失ってからの経過時間（ミリ秒）
+   * @param {number} confidence 予測の信頼度（0～1）
+   * @returns {Object} 予測した手のデータ
+   */
+  extrapolateHand(hand, age, confidence) {
+    const velocity = hand.velocity || { x: 0, y: 0, z: 0 };
+    const dt = age / 1000;
+    const move = (point) => ({
+      ...point,
+      x: point.x + velocity.x * dt,
+      y: point.y + velocity.y * dt,
+      z: point.z + velocity.z * dt
+    });
+    
+    return {
+      ...hand,
+      tips: hand.tips.map(move),
+      wrist: move(hand.wrist),
+      palm: move(hand.palm),
+      joints: hand.joints.map(move),
+      predicted: true,
+      confidence
+    };
+  }
+
+  /**
+   * ID割り当て後に手のデータを補正する（サブクラスでオーバーライド）
+   * @param {Array} hands IDが割り当てられた手のデータ
+   * @param {number} timestamp タイムスタンプ（ミリ秒）
+   * @returns {Array} 補正後の手のデータ（hand.idを保持すること）
+   */
+  refineHands(hands, timestamp) {
+    return hands;
+  }
+
+  /**
+   * 手が検出されなくなったことを通知する
+   */
+  clearHands() {
+    // 手が検出されない場合は空の配列をセット
+    const hadHands = this.handPositions.length > 0;
+    this.handPositions = [];
+    this.handHistory = [];
+    this.lostHands.clear();
+    
+    // 猶予期間を過ぎたIDを破棄
+    this.identityTracker.assign([], performance.now());
+    
+    if (hadHands || this.isRunning) {
+      this.eventEmitter.emit('handTracker:noHands');
+    }
+  }
+
+  /**
+   * 最新の手の位置を取得
+   * @returns {Array} 手の位置情報
+   */
+  getHandPositions() {
+    return this.handPositions;
+  }
+}
@@ -0,0 +1,318 @@
+/**
+ * PointerInputSource.js
+ * マウス・タッチ・ペンの入力から手のデータを合成する入力ソース
+ * カメラのない環境でもhandTracker:updateと同じ形式のデータを発行する
+ */
+
+import { Config } from '../../config.js';
+import { MathUtils } from '../../utils/MathUtils.js';
+import { HandLandmarks } from '../tracking/HandLandmarks.js';
+import { HandBuilder } from '../tracking/HandBuilder.js';
+import { InputSource } from './InputSource.js';
+
+// 開いた右手のランドマーク（手のひら中心からのオフセット、手の大きさを1とした単位、画像座標系）
+const OPEN_HAND_TEMPLATE = [
+  { x: 0.00, y: 0.45 },                                                                   // 手首
+  { x: -0.22, y: 0.32 }, { x: -0.38, y: 0.18 }, { x: -0.50, y: 0.04 }, { x: -0.60, y: -0.08 }, // 親指
+  { x: -0.17, y: -0.15 }, { x: -0.20, y: -0.42 }, { x: -0.22, y: -0.60 }, { x: -0.23, y: -0.76 }, // 人差し指
+  { x: 0.00, y: -0.18 }, { x: 0.00, y: -0.48 }, { x: 0.00, y: -0.68 }, { x: 0.00, y: -0.85 },   // 中指
+  { x: 0.16, y: -0.15 }, { x: 0.18, y: -0.42 }, { x: 0.19, y: -0.60 }, { x: 0.20, y: -0.74 },   // 薬指
+  { x: 0.30, y: -0.08 }, { x: 0.35, y: -0.28 }, { x: 0.38, y: -0.42 }, { x: 0.40, y: -0.55 }    // 小指
+];
+
+export class PointerInputSource extends InputSource {
+  /**
+   * コンストラクタ
+   * @param {Object} options 設定オプション
+   * @param {EventEmitter} eventEmitter イベントエミッタ
+   */
+  constructor(options = {}, eventEmitter) {
+    super('pointer', eventEmitter);
+    this.options = { ...Config.pointerInput, ...options };
+    this.target = null;
+    
+    // アクティブなポインター（pointerId → { x, y, pressed, type }）
+    this.pointers = new Map();
+    this.isDirty = false;
+    
+    // タイマーIDを保持（停止用）
+    this.animationFrameId = null;
+    
+    // イベントハンドラ（解除用に保持）
+    this.handlePointerDown = this.onPointerDown.bind(this);
+    this.handlePointerMove = this.onPointerMove.bind(this);
+    this.handlePointerUp = this.onPointerUp.bind(this);
+  }
+
+  /**
+   * ポインター入力を開始する
+   * @param {HTMLElement} [target=window] イベントを受け取る要素
+   * @returns {Promise<boolean>} 成功した場合はtrue
+   */
+  async start(target = window) {
+    if (this.isRunning) return true;
+    
+    this.target = target;
+    this.target.addEventListener('pointerdown', this.handlePointerDown);
+    this.target.addEventListener('pointermove', this.handlePointerMove);
+    this.target.addEventListener('pointerup', this.handlePointerUp);
+    this.target.addEventListener('pointercancel', this.handlePointerUp);
+    this.target.addEventListener('pointerleave', this.handlePointerUp);
+    
+    await super.start();
+    this.animationFrameId = requestAnimationFrame(this.tick.bind(this));
+    
+    console.log('PointerInputSource started');
+    return true;
+  }
+
+  /**
+   * ポインター入力を停止する
+   */
+  stop() {
+    if (this.target) {
+      this.target.removeEventListener('pointerdown', this.handlePointerDown);
+      this.target.removeEventListener('pointermove', this.handlePointerMove);
+      this.target.removeEventListener('pointerup', this.handlePointerUp);
+      this.target.removeEventListener('pointercancel', this.handlePointerUp);
+      this.target.removeEventListener('pointerleave', this.handlePointerUp);
+      this.target = null;
+    }
+    
+    if (this.animationFrameId) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+    
+    this.pointers.clear();
+    super.stop();
+    console.log('PointerInputSource stopped');
+  }
+
+  /**
+   * ポインターの状態を更新する（テストなどから直接呼び出すこともできる）
+   * @param {number} id ポインターID
+   * @param {number} x 画面上のX座標（0～1）
+   * @param {number} y 画面上のY座標（0～1）
+   * @param {boolean} pressed 押下中の場合はtrue
+   * @param {string} [type='mouse'] ポインターの種類
+   */
+  updatePointer(id, x, y, pressed, type = 'mouse') {
+    this.pointers.set(id, { x, y, pressed, type });
+    this.isDirty = true;
+  }
+
+  /**
+   * ポインターを削除する
+   * @param {number} id ポインターID
+   */
+  removePointer(id) {
+    if (this.pointers.delete(id)) {
+      this.isDirty = true;
+    }
+  }
+
+  /**
+   * pointerdownイベントの処理
+   * @param {PointerEvent} e イベント
+   */
+  onPointerDown(e) {
+    // UI操作はそのままにする
+    if (this.isUIElement(e.target)) return;
+    
+    this.updatePointer(e.pointerId, e.clientX / window.innerWidth, e.clientY / window.innerHeight, true, e.pointerType);
+  }
+
+  /**
+   * pointermoveイベントの処理
+   * @param {PointerEvent} e イベント
+   */
+  onPointerMove(e) {
+    const pointer = this.pointers.get(e.pointerId);
+    const pressed = pointer ? pointer.pressed : false;
+    
+    // 押されていないポインターはホバー追跡が有効なマウスのみ扱う
+    if (!pressed && !(e.pointerType === 'mouse' && this.options.trackHover)) return;
+    
+    this.updatePointer(e.pointerId, e.clientX / window.innerWidth, e.clientY / window.innerHeight, pressed, e.pointerType);
+  }
+
+  /**
+   * pointerup/pointercancel/pointerleaveイベントの処理
+   * @param {PointerEvent} e イベント
+   */
+  onPointerUp(e) {
+    if (e.pointerType === 'mouse' && this.options.trackHover && e.type === 'pointerup') {
+      // ホバー追跡中のマウスはボタンを離しても手を残す
+      this.updatePointer(e.pointerId, e.clientX / window.innerWidth, e.clientY / window.innerHeight, false, e.pointerType);
+      return;
+    }
+    this.removePointer(e.pointerId);
+  }
+
+  /**
+   * UI要素上のイベントかどうかを判定
+   * @param {EventTarget} element イベントの対象要素
+   * @returns {boolean} UI要素の場合はtrue
+   */
+  isUIElement(element) {
+    return element instanceof Element &&
+      element.closest('#control-panel, #captures-panel, #status-bar, #playback-panel, .settings-panel') !== null;
+  }
+
+  /**
+   * 更新ループ（変化があったフレームのみ手のデータを発行）
+   */
+  tick() {
+    if (!this.isRunning) return;
+    
+    if (this.isDirty) {
+      this.isDirty = false;
+      this.publishHands(this.buildHands());
+    }
+    
+    this.animationFrameId = requestAnimationFrame(this.tick.bind(this));
+  }
+
+  /**
+   * 現在のポインターから手のデータを作成
+   * @returns {Array} 手のデータ配列
+   */
+  buildHands() {
+    const pointers = [...this.pointers.values()];
+    if (pointers.length === 0) return [];
+    
+    if (this.options.multiTouchMode === 'fingers') {
+      // すべてのポインターを1つの手の指先として扱う
+      const fingers = pointers.slice(0, 5);
+      return [this.buildHandFromFingers(fingers, 0)];
+    }
+    
+    // 各ポインターを別々の手として扱う
+    return pointers.slice(0, this.options.maxHands).map((pointer, handIndex) => {
+      const extended = pointer.pressed
+        ? [true, true, true, true, true]
+        : [false, true, false, false, false];
+      return this.buildHandAt(pointer, extended, handIndex);
+    });
+  }
+
+  /**
+   * 人差し指の先端がポインター位置に来るように手を配置
+   * @param {Object} pointer ポインター { x, y }
+   * @param {boolean[]} extended 指ごとの伸展状態
+   * @param {number} handIndex 手のインデックス
+   * @returns {Object} 手のデータ
+   */
+  buildHandAt(pointer, extended, handIndex) {
+    const size = this.options.handSize;
+    const indexTip = OPEN_HAND_TEMPLATE[8];
+    const center = {
+      x: pointer.x - indexTip.x * size,
+      y: pointer.y - indexTip.y * size
+    };
+    
+    const landmarks = this.createLandmarks(center, extended);
+    return HandBuilder.fromLandmarks(landmarks, handIndex, 'Right', null, this.coordinateMapper);
+  }
+
+  /**
+   * 複数のポインターを指先とする1つの手を作成
+   * @param {Array} fingers ポインターの配列（最大5つ）
+   * @param {number} handIndex 手のインデックス
+   * @returns {Object} 手のデータ
+   */
+  buildHandFromFingers(fingers, handIndex) {
+    const size = this.options.handSize;
+    
+    // 指先の重心の少し下に手のひらを置く
+    const centroid = {
+      x: fingers.reduce((sum, p) => sum + p.x, 0) / fingers.length,
+      y: fingers.reduce((sum, p) => sum + p.y, 0) / fingers.length
+    };
+    const center = { x: centroid.x, y: centroid.y + size * 0.6 };
+    
+    // 1本目を人差し指、以降を中指、薬指、小指、親指の順に割り当て
+    const fingerOrder = [1, 2, 3, 4, 0];
+    const extended = [false, false, false, false, false];
+    fingers.forEach((_, i) => {
+      extended[fingerOrder[i]] = true;
+    });
+    
+    const landmarks = this.createLandmarks(center, extended);
+    
+    // 指先をポインター位置に移動し、途中の関節を付け根との間で補間
+    fingers.forEach((pointer, i) => {
+      const joints = HandLandmarks.FINGERS[fingerOrder[i]];
+      const base = landmarks[joints[0]];
+      const screen = this.toLandmarkSpace(pointer);
+      joints.forEach((jointIndex, j) => {
+        if (j === 0) return;
+        const t = j / (joints.length - 1);
+        landmarks[jointIndex] = {
+          x: MathUtils.lerp(base.x, screen.x, t),
+          y: MathUtils.lerp(base.y, screen.y, t),
+          z: 0
+        };
+      });
+    });
+    
+    return HandBuilder.fromLandmarks(landmarks, handIndex, 'Right', null, this.coordinateMapper);
+  }
+
+  /**
+   * テンプレートから21点のランドマークを作成
+   * @param {Object} center 手のひら中心（画面座標、0～1）
+   * @param {boolean[]} extended 指ごとの伸展状態
+   * @returns {Array} 正規化ランドマーク
+   */
+  createLandmarks(center, extended) {
+    const size = this.options.handSize;
+    const points = OPEN_HAND_TEMPLATE.map(offset => ({
+      x: center.x + offset.x * size,
+      y: center.y + offset.y * size
+    }));
+    
+    // 曲げた指は第2関節から手のひら側に折り返す（関節の角度から曲がり具合が求まるように）
+    HandLandmarks.FINGERS.forEach((finger, i) => {
+      if (extended[i]) return;
+      const base = points[finger[0]];
+      const next = points[finger[1]];
+      const segment = MathUtils.distance(base.x, base.y, next.x, next.y);
+      
+      const knuckle = {
+        x: MathUtils.lerp(base.x, next.x, 0.6),
+        y: MathUtils.lerp(base.y, next.y, 0.6)
+      };
+      const toPalm = MathUtils.distance(knuckle.x, knuckle.y, center.x, center.y) || 1;
+      const fold = {
+        x: (center.x - knuckle.x) / toPalm * segment,
+        y: (center.y - knuckle.y) / toPalm * segment
+      };
+      
+      points[finger[1]] = knuckle;
+      points[finger[2]] = { x: knuckle.x + fold.x * 0.6, y: knuckle.y + fold.y * 0.6 };
+      points[finger[3]] = { x: knuckle.x + fold.x, y: knuckle.y + fold.y };
+    });
+    
+    return points.map(point => this.toLandmarkSpace(point));
+  }
+
+  /**
+   * 画面座標をカメラ画像のランドマーク座標に変換（映像は鏡像表示されているため左右反転）
+   * @param {Object} point 画面座標 { x, y }（0～1）
+   * @returns {Object} 正規化ランドマーク { x, y, z }
+   */
+  toLandmarkSpace(point) {
+    // 座標変換サービスがあれば映像の表示領域と鏡像設定に合わせる
+    if (this.coordinateMapper) {
+      return this.coordinateMapper.screenToLandmark(point);
+    }
+    
+    return {
+      x: this.options.mirror ? 1 - point.x : point.x,
+      y: point.y,
+      z: 0
+    };
+  }
+}
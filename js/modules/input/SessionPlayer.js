@@ -0,0 +1,252 @@
+/**
+ * SessionPlayer.js
+ * 記録したハンドトラッキングのセッションを元のタイミングで再生するモジュール
+ * カメラの代わりにhandTracker:updateイベントを発行する
+ */
+
+import { Config } from '../../config.js';
+import { InputSource } from './InputSource.js';
+import { RECORDING_VERSION } from './SessionRecorder.js';
+
+export class SessionPlayer extends InputSource {
+  /**
+   * コンストラクタ
+   * @param {Object} options 設定オプション
+   * @param {EventEmitter} eventEmitter イベントエミッタ
+   */
+  constructor(options = {}, eventEmitter) {
+    super('playback', eventEmitter);
+    this.options = { ...Config.playback, ...options };
+    this.recording = null;
+    this.currentTime = 0;
+    this.frameIndex = 0;
+    this.lastTick = 0;
+    this.lastProgressEmit = 0;
+    
+    // タイマーIDを保持（停止用）
+    this.animationFrameId = null;
+  }
+
+  /**
+   * 記録データを読み込む
+   * @param {Object} recording 記録データ
+   * @returns {boolean} 成功した場合はtrue
+   */
+  load(recording) {
+    if (!recording || !Array.isArray(recording.frames)) {
+      this.eventEmitter.emit('player:error', { message: '記録データの形式が正しくありません' });
+      return false;
+    }
+    
+    if (recording.version > RECORDING_VERSION) {
+      this.eventEmitter.emit('player:error', {
+        message: `未対応の記録バージョンです: ${recording.version}`
+      });
+      return false;
+    }
+    
+    this.stop();
+    this.recording = recording;
+    this.currentTime = 0;
+    this.frameIndex = 0;
+    this.handHistory = [];
+    
+    this.eventEmitter.emit('player:loaded', {
+      duration: this.getDuration(),
+      frameCount: recording.frames.length
+    });
+    return true;
+  }
+
+  /**
+   * 記録データを破棄して再生を終了する
+   */
+  unload() {
+    if (!this.recording) return;
+    
+    this.stop();
+    this.recording = null;
+    this.currentTime = 0;
+    this.frameIndex = 0;
+    this.handHistory = [];
+    this.eventEmitter.emit('player:unloaded');
+  }
+
+  /**
+   * JSONファイルから記録データを読み込む
+   * @param {File} file 記録ファイル
+   * @returns {Promise<boolean>} 成功した場合はtrue
+   */
+  async loadFile(file) {
+    try {
+      const text = await file.text();
+      return this.load(JSON.parse(text));
+    } catch (error) {
+      console.error('Error loading recording file:', error);
+      this.eventEmitter.emit('player:error', { message: '記録ファイルを読み込めませんでした', error });
+      return false;
+    }
+  }
+
+  /**
+   * 再生を開始する
+   */
+  async start() {
+    if (!this.recording || this.isRunning) return false;
+    
+    // 終端で停止していた場合は先頭から再生
+    if (this.currentTime >= this.getDuration()) {
+      this.seek(0);
+    }
+    
+    await super.start();
+    this.lastTick = performance.now();
+    this.animationFrameId = requestAnimationFrame(this.tick.bind(this));
+    
+    this.eventEmitter.emit('player:started');
+    console.log('Session playback started');
+    return true;
+  }
+
+  /**
+   * 再生を停止する
+   */
+  stop() {
+    if (!this.isRunning) return;
+    
+    if (this.animationFrameId) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+    super.stop();
+    
+    this.eventEmitter.emit('player:stopped');
+    console.log('Session playback stopped');
+  }
+
+  /**
+   * 再生速度を設定
+   * @param {number} speed 再生速度（1.0で等速）
+   */
+  setSpeed(speed) {
+    this.options.speed = Math.max(0.1, speed);
+  }
+
+  /**
+   * ループ再生の有無を設定
+   * @param {boolean} loop ループする場合はtrue
+   */
+  setLoop(loop) {
+    this.options.loop = loop;
+  }
+
+  /**
+   * 指定時刻へ移動する
+   * @param {number} time 記録開始からの時間（ミリ秒）
+   */
+  seek(time) {
+    if (!this.recording) return;
+    
+    const frames = this.recording.frames;
+    this.currentTime = Math.min(Math.max(time, 0), this.getDuration());
+    this.handHistory = [];
+    
+    // 指定時刻以前で最後のフレームを二分探索
+    let low = 0;
+    let high = frames.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (frames[mid].t <= this.currentTime) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    
+    // シーク先のフレームを即座に反映
+    if (found !== -1) {
+      this.emitFrame(frames[found]);
+    }
+    this.frameIndex = found + 1;
+    this.emitProgress(true);
+  }
+
+  /**
+   * 記録の長さを取得
+   * @returns {number} 長さ（ミリ秒）
+   */
+  getDuration() {
+    if (!this.recording || this.recording.frames.length === 0) return 0;
+    return this.recording.frames[this.recording.frames.length - 1].t;
+  }
+
+  /**
+   * 再生ループ
+   * @param {number} now 現在時刻
+   */
+  tick(now) {
+    if (!this.isRunning) return;
+    
+    this.currentTime += (now - this.lastTick) * this.options.speed;
+    this.lastTick = now;
+    
+    const frames = this.recording.frames;
+    
+    // 現在時刻までのフレームを順に発行
+    // 1回の更新で複数のフレームを発行しても速度が乱れないように、記録時刻から本来発行すべきだった時刻を求める
+    while (this.frameIndex < frames.length && frames[this.frameIndex].t <= this.currentTime) {
+      const frame = frames[this.frameIndex];
+      this.emitFrame(frame, now - (this.currentTime - frame.t) / this.options.speed);
+      this.frameIndex++;
+    }
+    
+    // 終端に達した場合
+    if (this.frameIndex >= frames.length) {
+      if (this.options.loop && frames.length > 0) {
+        this.currentTime = 0;
+        this.frameIndex = 0;
+        this.handHistory = [];
+      } else {
+        this.currentTime = this.getDuration();
+        this.emitProgress(true);
+        this.stop();
+        this.eventEmitter.emit('player:ended');
+        return;
+      }
+    }
+    
+    this.emitProgress(false);
+    this.animationFrameId = requestAnimationFrame(this.tick.bind(this));
+  }
+
+  /**
+   * 1フレーム分のデータをhandTracker:updateとして発行
+   * @param {Object} frame 記録フレーム
+   * @param {number} [timestamp] フレームのタイムスタンプ（performance.now()基準、速度の計算に使う）
+   */
+  emitFrame(frame, timestamp = performance.now()) {
+    // 受け取った側が手のデータを書き換えても記録データが変わらないように複製して発行する
+    // 予測で保持していた手が記録されたファイルでも、予測は再生側で行うので検出された手のみ使う
+    const hands = frame.hands
+      .filter(hand => !hand.predicted)
+      .map(hand => JSON.parse(JSON.stringify(hand)));
+    this.publishHands(hands, { timestamp });
+  }
+
+  /**
+   * 再生位置を通知（頻度を抑えて発行）
+   * @param {boolean} force 間引かずに発行する場合はtrue
+   */
+  emitProgress(force) {
+    const now = performance.now();
+    if (!force && now - this.lastProgressEmit < 100) return;
+    
+    this.lastProgressEmit = now;
+    this.eventEmitter.emit('player:progress', {
+      currentTime: this.currentTime,
+      duration: this.getDuration()
+    });
+  }
+}
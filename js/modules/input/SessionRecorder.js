@@ -0,0 +1,137 @@
+/**
+ * SessionRecorder.js
+ * handTracker:updateのストリームを記録し、JSONファイルとして書き出すモジュール
+ */
+
+import { Config } from '../../config.js';
+
+// 記録ファイルのフォーマットバージョン
+export const RECORDING_VERSION = 1;
+
+export class SessionRecorder {
+  /**
+   * コンストラクタ
+   * @param {Object} options 設定オプション
+   * @param {EventEmitter} eventEmitter イベントエミッタ
+   */
+  constructor(options = {}, eventEmitter) {
+    this.options = { ...Config.recording, ...options };
+    this.eventEmitter = eventEmitter;
+    this.isRecording = false;
+    this.frames = [];
+    this.startTime = 0;
+    
+    // イベント購読の解除関数
+    this.unsubscribers = [];
+  }
+
+  /**
+   * 記録を開始する
+   */
+  start() {
+    if (this.isRecording) return;
+    
+    this.isRecording = true;
+    this.frames = [];
+    this.startTime = performance.now();
+    
+    this.unsubscribers = [
+      this.eventEmitter.on('handTracker:update', (data) => {
+        this.recordFrame(data.hands, data.timestamp);
+      }),
+      // 手が検出されない区間も再生時に再現できるよう空フレームとして記録
+      this.eventEmitter.on('handTracker:noHands', () => {
+        this.recordFrame([], performance.now());
+      })
+    ];
+    
+    this.eventEmitter.emit('recorder:started');
+    console.log('Session recording started');
+  }
+
+  /**
+   * 記録を停止する
+   * @param {string} [reason='user'] 停止の理由（user: 操作による停止、limit: 記録上限に達したため）
+   * @returns {Object|null} 記録データ
+   */
+  stop(reason = 'user') {
+    if (!this.isRecording) return null;
+    
+    this.isRecording = false;
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    
+    const recording = {
+      version: RECORDING_VERSION,
+      createdAt: new Date().toISOString(),
+      duration: this.frames.length > 0 ? this.frames[this.frames.length - 1].t : 0,
+      frameCount: this.frames.length,
+      frames: this.frames
+    };
+    
+    this.frames = [];
+    this.eventEmitter.emit('recorder:stopped', recording, reason);
+    console.log(`Session recording stopped (${recording.frameCount} frames, ${reason})`);
+    return recording;
+  }
+
+  /**
+   * 1フレーム分の手のデータを記録
+   * @param {Array} hands 手のデータ配列
+   * @param {number} [timestamp] フレームのタイムスタンプ（performance.now()基準）
+   */
+  recordFrame(hands, timestamp = performance.now()) {
+    if (!this.isRecording) return;
+    
+    // 記録上限を超えた場合は自動的に停止（記録データはrecorder:stoppedで受け取ってダウンロードされる）
+    if (this.frames.length >= this.options.maxFrames) {
+      console.warn('Recording frame limit reached');
+      this.stop('limit');
+      return;
+    }
+    
+    this.frames.push({
+      t: Math.max(0, Math.round(timestamp - this.startTime)),
+      // 見失って予測で保持している手は再生時に検出された手として扱われるので記録しない
+      hands: hands.filter(hand => !hand.predicted).map(hand => this.serializeHand(hand))
+    });
+  }
+
+  /**
+   * 手のデータをJSON化できる形に変換（数値は丸めてファイルサイズを抑える）
+   * @param {Object} hand 手のデータ
+   * @returns {Object} シリアライズされた手のデータ
+   */
+  serializeHand(hand) {
+    const precision = Math.pow(10, this.options.precision);
+    
+    return JSON.parse(JSON.stringify(hand, (key, value) => {
+      if (typeof value === 'number') {
+        return Math.round(value * precision) / precision;
+      }
+      return value;
+    }));
+  }
+
+  /**
+   * 記録データをJSONファイルとしてダウンロード
+   * @param {Object} recording 記録データ
+   */
+  download(recording) {
+    if (!recording) return;
+    
+    const json = JSON.stringify(recording);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `hand-session-${timestamp}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    URL.revokeObjectURL(url);
+  }
+}
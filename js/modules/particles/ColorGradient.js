@@ -0,0 +1,71 @@
+/**
+ * ColorGradient.js
+ * 色の停止点（位置と色）から作るグラデーション
+ * 毎フレーム粒子ごとに引くため、停止点の変更時に参照テーブルを作っておく
+ */
+
+export class ColorGradient {
+  /**
+   * コンストラクタ
+   * @param {Array} stops 停止点 [{ position, color }]（positionは0～1、colorはカラーコード）
+   * @param {number} [resolution=64] 参照テーブルの分割数
+   */
+  constructor(stops, resolution = 64) {
+    this.resolution = resolution;
+    this.table = new Float32Array(resolution * 3);
+    this.setStops(stops);
+  }
+
+  /**
+   * 停止点を設定して参照テーブルを作り直す
+   * @param {Array} stops 停止点 [{ position, color }]
+   */
+  setStops(stops) {
+    this.stops = [...stops].sort((a, b) => a.position - b.position);
+    
+    const colors = this.stops.map(stop => new THREE.Color(stop.color));
+    
+    for (let k = 0; k < this.resolution; k++) {
+      const t = k / (this.resolution - 1);
+      const color = this.interpolate(t, colors);
+      this.table[k * 3] = color.r;
+      this.table[k * 3 + 1] = color.g;
+      this.table[k * 3 + 2] = color.b;
+    }
+  }
+
+  /**
+   * 停止点の間を線形補間した色を計算
+   * @param {number} t 位置（0～1）
+   * @param {THREE.Color[]} colors 停止点の色（this.stopsと同じ順）
+   * @returns {THREE.Color} 色
+   */
+  interpolate(t, colors) {
+    const { stops } = this;
+    if (stops.length === 0) return new THREE.Color(1, 1, 1);
+    if (t <= stops[0].position) return colors[0].clone();
+    
+    for (let i = 1; i < stops.length; i++) {
+      if (t <= stops[i].position) {
+        const span = stops[i].position - stops[i - 1].position;
+        const f = span > 0 ? (t - stops[i - 1].position) / span : 1;
+        return colors[i - 1].clone().lerp(colors[i], f);
+      }
+    }
+    return colors[colors.length - 1].clone();
+  }
+
+  /**
+   * 色を取得して配列に書き込む
+   * @param {number} t 位置（0～1、範囲外は端の色）
+   * @param {Float32Array} out 書き込み先（r, g, bの並び）
+   * @param {number} offset 書き込み先の位置
+   */
+  sample(t, out, offset) {
+    const clamped = t > 0 ? (t < 1 ? t : 1) : 0;
+    const k = Math.round(clamped * (this.resolution - 1)) * 3;
+    out[offset] = this.table[k];
+    out[offset + 1] = this.table[k + 1];
+    out[offset + 2] = this.table[k + 2];
+  }
+}
@@ -0,0 +1,374 @@
+/**
+ * Emitters.js
+ * 手のランドマークに追従して粒子を放出するエミッターを管理するモジュール
+ * 形状（関節の点、手のひらの輪、2点を結ぶ線、手のひらの円板、骨）ごとに放出位置と基準の向きを決め、
+ * エミッターごとのレート、バースト、速度の円錐、寿命、色で粒子を放出する
+ */
+
+import { Config } from '../../config.js';
+import { HandLandmarks } from '../tracking/HandLandmarks.js';
+
+// 関節の親（指の付け根側の関節）。点の形状で指の向きを求めるのに使う
+const PARENT_JOINTS = [];
+HandLandmarks.CONNECTIONS.forEach(([a, b]) => {
+  if (PARENT_JOINTS[b] === undefined) {
+    PARENT_JOINTS[b] = a;
+  }
+});
+
+// 放出位置の形状（名前 → 位置と基準の向きを返す関数）
+// 形状関数は (emitter, hand, frame, system) を受け取る。frameは手のひらの座標系 { center, normal, u, v, size }
+export const EMITTER_SHAPES = {
+  // 1つの関節（向きは指先の方向、手首は手のひらの法線）
+  point: (emitter, hand, frame, system) => {
+    const position = emitter.landmark === 'palm' ? hand.palm : hand.joints[emitter.landmark];
+    const parent = PARENT_JOINTS[emitter.landmark];
+    const normal = parent === undefined
+      ? frame.normal
+      : system.normalize(system.subtract(position, hand.joints[parent]));
+    return { position: { ...position }, normal };
+  },
+  
+  // 手のひら（または関節）を囲む輪（向きは輪の外側）
+  ring: (emitter, hand, frame) => {
+    const center = emitter.landmark === 'palm' ? hand.palm : hand.joints[emitter.landmark];
+    const angle = Math.random() * Math.PI * 2;
+    const radial = {
+      x: frame.u.x * Math.cos(angle) + frame.v.x * Math.sin(angle),
+      y: frame.u.y * Math.cos(angle) + frame.v.y * Math.sin(angle),
+      z: frame.u.z * Math.cos(angle) + frame.v.z * Math.sin(angle)
+    };
+    const r = emitter.radius * frame.size;
+    return {
+      position: { x: center.x + radial.x * r, y: center.y + radial.y * r, z: center.z + radial.z * r },
+      normal: radial
+    };
+  },
+  
+  // 2つの関節を結ぶ線分（既定は親指と人差し指の指先。向きは手のひらの法線）
+  line: (emitter, hand, frame, system) => {
+    const [a, b] = emitter.landmarks;
+    return {
+      position: system.lerp(hand.joints[a], hand.joints[b], Math.random()),
+      normal: frame.normal
+    };
+  },
+  
+  // 手のひらの面内の円板（向きは手のひらの法線）
+  disc: (emitter, hand, frame) => {
+    const center = emitter.landmark === 'palm' ? hand.palm : hand.joints[emitter.landmark];
+    const angle = Math.random() * Math.PI * 2;
+    
+    // 面積あたり均一になるように半径方向は平方根を取る
+    const r = Math.sqrt(Math.random()) * emitter.radius * frame.size;
+    const cu = Math.cos(angle) * r;
+    const cv = Math.sin(angle) * r;
+    return {
+      position: {
+        x: center.x + frame.u.x * cu + frame.v.x * cv,
+        y: center.y + frame.u.y * cu + frame.v.y * cv,
+        z: center.z + frame.u.z * cu + frame.v.z * cv
+      },
+      normal: frame.normal
+    };
+  },
+  
+  // 骨格の骨（HandLandmarks.CONNECTIONSのインデックス。向きは手のひらの法線）
+  bone: (emitter, hand, frame, system) => {
+    const [a, b] = HandLandmarks.CONNECTIONS[emitter.bone] || HandLandmarks.CONNECTIONS[0];
+    return {
+      position: system.lerp(hand.joints[a], hand.joints[b], Math.random()),
+      normal: frame.normal
+    };
+  }
+};
+
+export class EmitterSystem {
+  /**
+   * コンストラクタ
+   * @param {Object} options 設定オプション（エミッターの既定値）
+   * @param {EventEmitter} eventEmitter イベントエミッタ
+   */
+  constructor(options = {}, eventEmitter) {
+    this.options = { ...Config.emitters, ...options };
+    this.eventEmitter = eventEmitter;
+    this.emitters = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * エミッターを追加
+   * @param {string} shape 形状（point、ring、line、disc、bone）
+   * @param {Object} [options={}] エミッターの設定
+   * @param {string|null} [options.handedness] 追従する手（'Left'、'Right'、nullで両手）
+   * @param {number|string} [options.landmark] point、ring、discの基準の関節（0～20または'palm'）
+   * @param {number[]} [options.landmarks] lineの両端の関節 [a, b]
+   * @param {number} [options.bone] boneの骨（HandLandmarks.CONNECTIONSのインデックス）
+   * @param {number} [options.radius] ring、discの半径（手首～中指の付け根の長さに対する割合）
+   * @param {number} [options.rate] 1秒あたりの放出数
+   * @param {number} [options.burst] 手が現れたときにまとめて放出する数
+   * @param {Object|string} [options.direction] 放出方向 { x, y, z }（'normal'で形状の基準の向き）
+   * @param {number} [options.spread] 放出方向の円錐の半角（度）
+   * @param {number} [options.speed] 初速（単位/秒）
+   * @param {number} [options.speedVariation] 初速のばらつき（0～1の割合）
+   * @param {number|null} [options.lifetime] 寿命（秒、nullで粒子システムの設定）
+   * @param {string|null} [options.color] 色（nullで粒子システムの色のモード）
+   * @returns {Object} 追加したエミッター（プロパティを直接変更してよい）
+   */
+  add(shape, options = {}) {
+    if (!EMITTER_SHAPES[shape]) {
+      throw new Error(`Unknown emitter shape: ${shape}`);
+    }
+    
+    const emitter = {
+      shape,
+      enabled: true,
+      ...this.options.defaults,
+      ...options,
+      id: this.nextId++,
+      // 手のIDごとの放出の端数（レートが1フレームあたり1未満でも放出できるように持ち越す）
+      hands: new Map()
+    };
+    
+    this.emitters.push(emitter);
+    this.eventEmitter.emit('particleSystem:emitterAdded', emitter);
+    return emitter;
+  }
+
+  /**
+   * エミッターを削除
+   * @param {Object|number} emitterOrId エミッターまたはそのID
+   * @returns {boolean} 削除した場合はtrue
+   */
+  remove(emitterOrId) {
+    const id = typeof emitterOrId === 'object' ? emitterOrId.id : emitterOrId;
+    const index = this.emitters.findIndex(emitter => emitter.id === id);
+    if (index === -1) return false;
+    
+    const [emitter] = this.emitters.splice(index, 1);
+    this.eventEmitter.emit('particleSystem:emitterRemoved', emitter);
+    return true;
+  }
+
+  /**
+   * すべてのエミッターを削除
+   */
+  clear() {
+    [...this.emitters].forEach(emitter => this.remove(emitter));
+  }
+
+  /**
+   * エミッターを取得
+   * @param {number} id エミッターのID
+   * @returns {Object|null} エミッター
+   */
+  get(id) {
+    return this.emitters.find(emitter => emitter.id === id) || null;
+  }
+
+  /**
+   * 設定から作ったエミッターを設定の配列に合わせる（addで追加したエミッターはそのまま残す）
+   * 既存のエミッターは同じkeyの設定で置き換えずに更新する（手ごとの状態を残し、burstを再発火させない）
+   * @param {Array} configs エミッターの設定の配列 [{ key, shape, ...設定 }]（keyのない設定は毎回作り直す）
+   */
+  setEmitters(configs) {
+    const existing = this.emitters.filter(emitter => emitter.fromSettings);
+    const kept = new Set();
+    
+    configs.forEach(({ shape, ...options }) => {
+      const emitter = options.key === undefined
+        ? null
+        : existing.find(candidate => candidate.key === options.key && !kept.has(candidate));
+      if (!emitter) {
+        kept.add(this.add(shape, { ...options, fromSettings: true }));
+        return;
+      }
+      
+      if (!EMITTER_SHAPES[shape]) {
+        throw new Error(`Unknown emitter shape: ${shape}`);
+      }
+      
+      // 設定から消えた項目は既定値に戻す（id、手ごとの状態は引き継ぐ）
+      const next = { shape, enabled: true, ...this.options.defaults, ...options, fromSettings: true };
+      Object.keys(emitter).forEach(key => {
+        if (key !== 'id' && key !== 'hands' && !(key in next)) {
+          delete emitter[key];
+        }
+      });
+      Object.assign(emitter, next);
+      kept.add(emitter);
+      this.eventEmitter.emit('particleSystem:emitterUpdated', emitter);
+    });
+    
+    existing
+      .filter(emitter => !kept.has(emitter))
+      .forEach(emitter => this.remove(emitter));
+  }
+
+  /**
+   * 粒子を放出（毎フレーム呼び出す）
+   * @param {number} deltaTime フレーム間の経過時間（秒）
+   * @param {Array} hands 現在の手のデータ
+   * @param {Function} spawn 粒子を1つ放出する関数 (position, velocity, emitter, hand) => 粒子のインデックス（確保できない場合は-1）
+   */
+  update(deltaTime, hands, spawn) {
+    // タブが非表示だった後などの長いフレームでまとめて放出しすぎないようにする
+    const dt = Math.min(deltaTime, this.options.maxDeltaTime);
+    
+    this.emitters.forEach(emitter => {
+      if (!emitter.enabled) return;
+      
+      const present = new Set();
+      
+      (hands || []).forEach(hand => {
+        if (emitter.handedness && hand.handedness !== emitter.handedness) return;
+        present.add(hand.id);
+        
+        // 新しく現れた手はバーストを放出する
+        let state = emitter.hands.get(hand.id);
+        let count = 0;
+        if (!state) {
+          state = { accumulator: 0 };
+          emitter.hands.set(hand.id, state);
+          count += emitter.burst;
+        }
+        
+        // 見失って予測で保持している手は信頼度に合わせて放出を減らす
+        const confidence = hand.confidence !== undefined ? hand.confidence : 1;
+        state.accumulator += emitter.rate * dt * confidence;
+        const steady = Math.floor(state.accumulator);
+        state.accumulator -= steady;
+        count += steady;
+        
+        if (count === 0) return;
+        
+        const frame = this.getPalmFrame(hand);
+        const shape = EMITTER_SHAPES[emitter.shape];
+        
+        for (let i = 0; i < count; i++) {
+          const { position, normal } = shape(emitter, hand, frame, this);
+          const velocity = this.sampleVelocity(emitter, normal);
+          
+          // 粒子が満杯で確保できなくなったらこの手からの放出をやめる
+          if (spawn(position, velocity, emitter, hand) === -1) break;
+        }
+      });
+      
+      // いなくなった手の状態を破棄（再び現れたときにバーストを放出する）
+      emitter.hands.forEach((state, handId) => {
+        if (!present.has(handId)) {
+          emitter.hands.delete(handId);
+        }
+      });
+    });
+  }
+
+  /**
+   * 手のひらの座標系を計算
+   * @param {Object} hand 手のデータ
+   * @returns {Object} { center, normal, u, v, size }（uは手首から中指の付け根への向き、sizeはその長さ）
+   */
+  getPalmFrame(hand) {
+    const wrist = hand.joints[HandLandmarks.WRIST];
+    const toMiddle = this.subtract(hand.joints[9], wrist);
+    
+    const size = Math.sqrt(toMiddle.x * toMiddle.x + toMiddle.y * toMiddle.y + toMiddle.z * toMiddle.z);
+    const direction = this.normalize(toMiddle);
+    
+    // 法線はHandPoseで左右と鏡像を考慮して手のひら側に向けたものを使う
+    let normal = hand.palmNormal ? this.normalize(hand.palmNormal) : { x: 0, y: 0, z: 0 };
+    
+    // 手のひらが潰れて法線が求まらない場合は画面の手前向き
+    if (normal.x === 0 && normal.y === 0 && normal.z === 0) {
+      normal = { x: 0, y: 0, z: 1 };
+    }
+    
+    // 法線はメートル単位の関節座標から求めているので、シーン座標の指の向きを法線に垂直になるように補正する
+    const v = this.normalize(this.cross(normal, direction));
+    const u = v.x === 0 && v.y === 0 && v.z === 0 ? direction : this.cross(v, normal);
+    
+    return { center: hand.palm, normal, u, v, size };
+  }
+
+  /**
+   * 放出方向の円錐から初速をランダムに選ぶ
+   * @param {Object} emitter エミッター
+   * @param {Object} normal 形状の基準の向き { x, y, z }
+   * @returns {Object} 初速 { x, y, z }
+   */
+  sampleVelocity(emitter, normal) {
+    const axis = emitter.direction === 'normal' ? normal : this.normalize(emitter.direction);
+    
+    // 円錐内で立体角あたり均一になるように選ぶ
+    const spread = emitter.spread * Math.PI / 180;
+    const cosTheta = 1 - Math.random() * (1 - Math.cos(spread));
+    const sinTheta = Math.sqrt(1 - cosTheta * cosTheta);
+    const phi = Math.random() * Math.PI * 2;
+    
+    // 軸に垂直な2方向
+    const helper = Math.abs(axis.x) < 0.9 ? { x: 1, y: 0, z: 0 } : { x: 0, y: 1, z: 0 };
+    const t1 = this.normalize(this.cross(axis, helper));
+    const t2 = this.cross(axis, t1);
+    
+    const speed = emitter.speed * (1 + (Math.random() * 2 - 1) * emitter.speedVariation);
+    const a = cosTheta * speed;
+    const b = sinTheta * Math.cos(phi) * speed;
+    const c = sinTheta * Math.sin(phi) * speed;
+    
+    return {
+      x: axis.x * a + t1.x * b + t2.x * c,
+      y: axis.y * a + t1.y * b + t2.y * c,
+      z: axis.z * a + t1.z * b + t2.z * c
+    };
+  }
+
+  /**
+   * ベクトルの差
+   * @param {Object} a ベクトル { x, y, z }
+   * @param {Object} b ベクトル { x, y, z }
+   * @returns {Object} a - b
+   */
+  subtract(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+  }
+
+  /**
+   * ベクトルの外積
+   * @param {Object} a ベクトル { x, y, z }
+   * @param {Object} b ベクトル { x, y, z }
+   * @returns {Object} a × b
+   */
+  cross(a, b) {
+    return {
+      x: a.y * b.z - a.z * b.y,
+      y: a.z * b.x - a.x * b.z,
+      z: a.x * b.y - a.y * b.x
+    };
+  }
+
+  /**
+   * 2点の線形補間
+   * @param {Object} a 点 { x, y, z }
+   * @param {Object} b 点 { x, y, z }
+   * @param {number} t 補間係数（0～1）
+   * @returns {Object} 補間した点
+   */
+  lerp(a, b, t) {
+    return {
+      x: a.x + (b.x - a.x) * t,
+      y: a.y + (b.y - a.y) * t,
+      z: a.z + (b.z - a.z) * t
+    };
+  }
+
+  /**
+   * ベクトルの正規化
+   * @param {Object} v ベクトル { x, y, z }
+   * @returns {Object} 単位ベクトル（長さ0の場合はそのまま）
+   */
+  normalize(v) {
+    const length = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+    if (length === 0) return { ...v };
+    return { x: v.x / length, y: v.y / length, z: v.z / length };
+  }
+}
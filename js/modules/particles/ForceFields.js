@@ -0,0 +1,259 @@
+/**
+ * ForceFields.js
+ * 粒子に働く力場（引力、斥力、渦、抵抗、風、カールノイズの乱流）を管理するモジュール
+ * 力場は実行中に追加・削除でき、手のランドマークに追従させることもできる
+ * 強さは粒子に加える加速度（単位/秒²）で重力と同じ単位。dragのみ1秒で失う速度の割合
+ */
+
+import { Config } from '../../config.js';
+import { MathUtils } from '../../utils/MathUtils.js';
+
+// 乱流の渦の大きさの下限（0で割らないように）
+const MIN_NOISE_SCALE = 0.01;
+
+// 距離による減衰（tは中心からの距離 / 影響半径、0～1）
+export const FALLOFFS = {
+  none: () => 1,
+  linear: (t) => 1 - t,
+  smooth: (t) => 1 - MathUtils.smoothstep(0, 1, t),
+  inverseSquare: (t) => 1 / (1 + 16 * t * t)
+};
+
+// 力場の種類ごとの処理（velocityを直接変更する）
+// dx, dy, dzは力場の中心から粒子への差分、distanceはその長さ、amountは強さ×減衰、deltaTimeは経過時間（秒）
+export const FIELD_TYPES = {
+  // 中心へ引き寄せる
+  attractor: (field, velocity, dx, dy, dz, distance, amount, time, deltaTime) => {
+    if (distance === 0) return;
+    const dv = amount * deltaTime;
+    velocity.x -= (dx / distance) * dv;
+    velocity.y -= (dy / distance) * dv;
+    velocity.z -= (dz / distance) * dv;
+  },
+  
+  // 中心から押し出す
+  repulsor: (field, velocity, dx, dy, dz, distance, amount, time, deltaTime) => {
+    if (distance === 0) return;
+    const dv = amount * deltaTime;
+    velocity.x += (dx / distance) * dv;
+    velocity.y += (dy / distance) * dv;
+    velocity.z += (dz / distance) * dv;
+  },
+  
+  // 軸のまわりに回転させる（軸から見て反時計回り）
+  vortex: (field, velocity, dx, dy, dz, distance, amount, time, deltaTime) => {
+    const { x: ax, y: ay, z: az } = field.axis;
+    const tx = ay * dz - az * dy;
+    const ty = az * dx - ax * dz;
+    const tz = ax * dy - ay * dx;
+    const length = Math.sqrt(tx * tx + ty * ty + tz * tz);
+    if (length === 0) return;
+    const dv = amount * deltaTime;
+    velocity.x += (tx / length) * dv;
+    velocity.y += (ty / length) * dv;
+    velocity.z += (tz / length) * dv;
+  },
+  
+  // 範囲内の粒子を減速させる（強さは1秒で失う速度の割合）
+  drag: (field, velocity, dx, dy, dz, distance, amount, time, deltaTime) => {
+    const keep = Math.pow(1 - Math.min(1, amount), deltaTime);
+    velocity.x *= keep;
+    velocity.y *= keep;
+    velocity.z *= keep;
+  },
+  
+  // 一定方向に流す
+  wind: (field, velocity, dx, dy, dz, distance, amount, time, deltaTime) => {
+    const dv = amount * deltaTime;
+    velocity.x += field.direction.x * dv;
+    velocity.y += field.direction.y * dv;
+    velocity.z += field.direction.z * dv;
+  },
+  
+  // カールノイズによる乱流（発散のない流れなので粒子が一点に集まらない）
+  turbulence: (field, velocity, dx, dy, dz, distance, amount, time, deltaTime) => {
+    const noiseScale = field.noiseScale > MIN_NOISE_SCALE ? field.noiseScale : MIN_NOISE_SCALE;
+    const a = 1 / noiseScale;
+    const b = 1.7 / noiseScale;
+    const t = time * field.noiseSpeed;
+    
+    // 正弦波を重ねたポテンシャル場の回転（curl）を解析的に計算
+    const cx = -b * Math.sin(b * dy + 1.3 * t + 0.5) - a * Math.cos(a * dz + t + 1.7);
+    const cy = -b * Math.sin(b * dz + 1.3 * t) - a * Math.cos(a * dx + t + 3.1);
+    const cz = -b * Math.sin(b * dx + 1.3 * t + 2.3) - a * Math.cos(a * dy + t);
+    const scale = amount * deltaTime / (a + b);
+    
+    velocity.x += cx * scale;
+    velocity.y += cy * scale;
+    velocity.z += cz * scale;
+  }
+};
+
+export class ForceFieldSystem {
+  /**
+   * コンストラクタ
+   * @param {Object} options 設定オプション（力場の既定値）
+   * @param {EventEmitter} eventEmitter イベントエミッタ
+   */
+  constructor(options = {}, eventEmitter) {
+    this.options = { ...Config.forceFields, ...options };
+    this.eventEmitter = eventEmitter;
+    this.fields = [];
+    this.nextId = 1;
+    
+    // 乱流の時間変化に使う経過時間（秒）
+    this.time = 0;
+  }
+
+  /**
+   * 力場を追加
+   * @param {string} type 種類（attractor、repulsor、vortex、drag、wind、turbulence）
+   * @param {Object} [options={}] 力場の設定
+   * @param {Object} [options.position] 中心 { x, y, z }（シーン座標）
+   * @param {number} [options.radius] 影響半径（0で無限）
+   * @param {number} [options.strength] 強さ（加速度、単位/秒²。dragは1秒で失う速度の割合）
+   * @param {string} [options.falloff] 減衰（none、linear、smooth、inverseSquare）
+   * @param {Object} [options.axis] 渦の軸 { x, y, z }
+   * @param {Object} [options.direction] 風の向き { x, y, z }
+   * @param {Object} [options.binding] 追従するランドマーク { handId | handedness | handIndex, landmark }
+   *   landmarkは関節のインデックスまたは'palm'
+   * @returns {Object} 追加した力場（プロパティを直接変更してよい）
+   */
+  add(type, options = {}) {
+    if (!FIELD_TYPES[type]) {
+      throw new Error(`Unknown force field type: ${type}`);
+    }
+    
+    const { defaults } = this.options;
+    const field = {
+      type,
+      enabled: true,
+      position: { x: 0, y: 0, z: 0 },
+      radius: defaults.radius,
+      strength: defaults.strength,
+      falloff: defaults.falloff,
+      axis: { x: 0, y: 0, z: 1 },
+      direction: { x: 1, y: 0, z: 0 },
+      noiseScale: defaults.noiseScale,
+      noiseSpeed: defaults.noiseSpeed,
+      binding: null,
+      ...options,
+      id: this.nextId++,
+      // 追従先の手が見つからない間は働かない
+      active: !options.binding
+    };
+    field.direction = this.normalize(field.direction);
+    field.axis = this.normalize(field.axis);
+    
+    this.fields.push(field);
+    this.eventEmitter.emit('particleSystem:forceFieldAdded', field);
+    return field;
+  }
+
+  /**
+   * 力場を削除
+   * @param {Object|number} fieldOrId 力場またはそのID
+   * @returns {boolean} 削除した場合はtrue
+   */
+  remove(fieldOrId) {
+    const id = typeof fieldOrId === 'object' ? fieldOrId.id : fieldOrId;
+    const index = this.fields.findIndex(field => field.id === id);
+    if (index === -1) return false;
+    
+    const [field] = this.fields.splice(index, 1);
+    this.eventEmitter.emit('particleSystem:forceFieldRemoved', field);
+    return true;
+  }
+
+  /**
+   * すべての力場を削除
+   */
+  clear() {
+    [...this.fields].forEach(field => this.remove(field));
+  }
+
+  /**
+   * 力場を取得
+   * @param {number} id 力場のID
+   * @returns {Object|null} 力場
+   */
+  get(id) {
+    return this.fields.find(field => field.id === id) || null;
+  }
+
+  /**
+   * 経過時間と手に追従する力場の位置を更新（毎フレーム、粒子の更新前に呼び出す）
+   * @param {number} deltaTime フレーム間の経過時間（秒）
+   * @param {Array} hands 現在の手のデータ
+   */
+  update(deltaTime, hands) {
+    this.time += deltaTime;
+    
+    this.fields.forEach(field => {
+      if (!field.binding) return;
+      
+      const hand = this.findBoundHand(field.binding, hands || []);
+      field.active = !!hand;
+      if (!hand) return;
+      
+      const { landmark = 'palm' } = field.binding;
+      const point = landmark === 'palm' ? hand.palm : hand.joints[landmark];
+      field.position = { x: point.x, y: point.y, z: point.z };
+    });
+  }
+
+  /**
+   * 追従先の手を探す
+   * @param {Object} binding 追従の設定 { handId | handedness | handIndex }
+   * @param {Array} hands 手のデータ
+   * @returns {Object|null} 手のデータ
+   */
+  findBoundHand(binding, hands) {
+    if (binding.handId !== undefined) {
+      return hands.find(hand => hand.id === binding.handId) || null;
+    }
+    if (binding.handedness !== undefined) {
+      return hands.find(hand => hand.handedness === binding.handedness) || null;
+    }
+    return hands[binding.handIndex || 0] || null;
+  }
+
+  /**
+   * 1つの粒子にすべての力場を適用
+   * @param {number} px 粒子のX座標
+   * @param {number} py 粒子のY座標
+   * @param {number} pz 粒子のZ座標
+   * @param {Object} velocity 粒子の速度 { x, y, z }（単位/秒、直接変更する）
+   * @param {number} deltaTime フレーム間の経過時間（秒）
+   */
+  apply(px, py, pz, velocity, deltaTime) {
+    for (let i = 0; i < this.fields.length; i++) {
+      const field = this.fields[i];
+      if (!field.enabled || !field.active) continue;
+      
+      const dx = px - field.position.x;
+      const dy = py - field.position.y;
+      const dz = pz - field.position.z;
+      const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+      
+      let weight = 1;
+      if (field.radius > 0) {
+        if (distance > field.radius) continue;
+        weight = (FALLOFFS[field.falloff] || FALLOFFS.none)(distance / field.radius);
+      }
+      
+      FIELD_TYPES[field.type](field, velocity, dx, dy, dz, distance, field.strength * weight, this.time, deltaTime);
+    }
+  }
+
+  /**
+   * ベクトルの正規化
+   * @param {Object} v ベクトル { x, y, z }
+   * @returns {Object} 単位ベクトル（長さ0の場合はそのまま）
+   */
+  normalize(v) {
+    const length = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+    if (length === 0) return { ...v };
+    return { x: v.x / length, y: v.y / length, z: v.z / length };
+  }
+}
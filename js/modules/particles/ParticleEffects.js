@@ -6,6 +6,12 @@
 import { Config } from '../../config.js';
 import { MathUtils } from '../../utils/MathUtils.js';
 
+// 軌跡の粒子の寿命（秒）
+const TRAIL_LIFETIME = 0.5;
+
+// 軌跡の粒子に伝える指先の速度の割合
+const TRAIL_MOMENTUM = 0.2;
+
 export class ParticleEffects {
   /**
    * コンストラクタ
@@ -37,12 +43,8 @@ export class ParticleEffects {
       const particle = this.particleSystem.emitParticle(px, py, z);
       
       // 色を指定
-      if (color && particle !== undefined) {
-        const c = new THREE.Color(color);
-        const index = particle * 3;
-        this.particleSystem.particleColors[index] = c.r;
-        this.particleSystem.particleColors[index + 1] = c.g;
-        this.particleSystem.particleColors[index + 2] = c.b;
+      if (color && particle !== -1) {
+        this.particleSystem.setParticleColor(particle, color);
       }
     }
   }
@@ -59,9 +61,9 @@ export class ParticleEffects {
     
     const interval = setInterval(() => {
       for (let i = 0; i < particlesPerFrame; i++) {
-        // 上向きに粒子を放出
-        const angle = MathUtils.random(-Math.PI / 4, Math.PI / 4) - Math.PI / 2;
-        const speed = MathUtils.random(3, 6);
+        // 上向きに粒子を放出（シーンのY軸は上向き）
+        const angle = MathUtils.random(-Math.PI / 4, Math.PI / 4) + Math.PI / 2;
+        const speed = MathUtils.random(180, 360); // 単位/秒
         
         const px = x + MathUtils.random(-2, 2);
         const py = y;
@@ -69,7 +71,7 @@ export class ParticleEffects {
         const particle = this.particleSystem.emitParticle(px, py, 0);
         
         // 粒子に上向きの初速度を設定
-        if (particle !== undefined) {
+        if (particle !== -1) {
           const index = particle;
           this.particleSystem.velocities[index].x = Math.cos(angle) * speed;
           this.particleSystem.velocities[index].y = Math.sin(angle) * speed;
@@ -89,9 +91,9 @@ export class ParticleEffects {
    * @param {number} y 渦の中心Y座標
    * @param {number} [particleCount=100] 生成する粒子数
    * @param {number} [radius=30] 渦の半径
-   * @param {number} [rotationSpeed=0.1] 回転速度
+   * @param {number} [rotationSpeed=6] 回転速度（渦の中心での接線方向の速さ、単位/秒）
    */
-  createVortex(x, y, particleCount = 100, radius = 30, rotationSpeed = 0.1) {
+  createVortex(x, y, particleCount = 100, radius = 30, rotationSpeed = 6) {
     let angle = 0;
     let currentParticles = 0;
     
@@ -103,7 +105,7 @@ export class ParticleEffects {
       const particle = this.particleSystem.emitParticle(px, py, 0);
       
       // 粒子に渦を巻くような速度を設定
-      if (particle !== undefined) {
+      if (particle !== -1) {
         const index = particle;
         const distance = Math.sqrt(Math.pow(px - x, 2) + Math.pow(py - y, 2));
         const tangentialSpeed = rotationSpeed * (radius - distance) / radius;
@@ -138,27 +140,26 @@ export class ParticleEffects {
         // 指が動いている場合のみ軌跡を作成
         if (hand.fingerExtension[fingerIndex]) {
           // 小さい粒子を放出
-          const particle = this.particleSystem.emitParticle(tip.x, tip.y, 0);
+          const particle = this.particleSystem.emitParticle(tip.x, tip.y, tip.z);
           
           // 粒子のサイズを小さく、寿命を短くする
-          if (particle !== undefined) {
+          if (particle !== -1) {
             const index = particle;
             // 寿命を短く設定して軌跡っぽく
-            this.particleSystem.lifetimes[index] = 30;
+            this.particleSystem.lifetimes[index] = TRAIL_LIFETIME;
+            this.particleSystem.maxLifetimes[index] = TRAIL_LIFETIME;
+            this.particleSystem.sizeScales[index] = 0.5;
             
-            // 指の動きの速度に応じて粒子に速度を与える
-            if (hand.velocity) {
-              this.particleSystem.velocities[index].x = hand.velocity.x * 0.1;
-              this.particleSystem.velocities[index].y = hand.velocity.y * 0.1;
+            // 指の動きの速度に応じて粒子に速度を与える（どちらも単位/秒）
+            const tipVelocity = hand.tipVelocities ? hand.tipVelocities[fingerIndex] : hand.velocity;
+            if (tipVelocity) {
+              this.particleSystem.velocities[index].x = tipVelocity.x * TRAIL_MOMENTUM;
+              this.particleSystem.velocities[index].y = tipVelocity.y * TRAIL_MOMENTUM;
             }
             
             // 色を設定
             if (color) {
-              const c = new THREE.Color(color);
-              const colorIndex = index * 3;
-              this.particleSystem.particleColors[colorIndex] = c.r;
-              this.particleSystem.particleColors[colorIndex + 1] = c.g;
-              this.particleSystem.particleColors[colorIndex + 2] = c.b;
+              this.particleSystem.setParticleColor(index, color);
             }
           }
         }
@@ -175,11 +176,11 @@ export class ParticleEffects {
   createBurst(x, y, particleCount = 200) {
     for (let i = 0; i < particleCount; i++) {
       const angle = Math.random() * Math.PI * 2;
-      const speed = MathUtils.random(1, 5);
+      const speed = MathUtils.random(60, 300); // 単位/秒
       
       const particle = this.particleSystem.emitParticle(x, y, 0);
       
-      if (particle !== undefined) {
+      if (particle !== -1) {
         const index = particle;
         this.particleSystem.velocities[index].x = Math.cos(angle) * speed;
         this.particleSystem.velocities[index].y = Math.sin(angle) * speed;
@@ -189,12 +190,7 @@ export class ParticleEffects {
           '#ff0000', '#ff7700', '#ffff00', '#00ff00', 
           '#00ffff', '#0000ff', '#7700ff', '#ff00ff'
         ];
-        const color = new THREE.Color(colors[Math.floor(Math.random() * colors.length)]);
-        
-        const colorIndex = index * 3;
-        this.particleSystem.particleColors[colorIndex] = color.r;
-        this.particleSystem.particleColors[colorIndex + 1] = color.g;
-        this.particleSystem.particleColors[colorIndex + 2] = color.b;
+        this.particleSystem.setParticleColor(index, colors[Math.floor(Math.random() * colors.length)]);
       }
     }
   }
@@ -0,0 +1,195 @@
+/**
+ * ParticlePool.js
+ * 粒子のスロットを空きリストで管理するアロケータ
+ * 空きスロットの取得と解放はO(1)で、満杯時の扱い（破棄、最も古い粒子を再利用、ランダムに再利用）を選べる
+ */
+
+// 満杯時の扱い
+export const OVERFLOW_POLICIES = ['drop', 'recycleOldest', 'recycleRandom'];
+
+export class ParticlePool {
+  /**
+   * コンストラクタ
+   * @param {number} capacity スロット数
+   * @param {string} [overflowPolicy='recycleOldest'] 満杯時の扱い（drop、recycleOldest、recycleRandom）
+   */
+  constructor(capacity, overflowPolicy = 'recycleOldest') {
+    this.overflowPolicy = overflowPolicy;
+    this.resize(capacity);
+  }
+
+  /**
+   * スロット数を変更してすべてのスロットを空きにする
+   * @param {number} capacity スロット数
+   */
+  resize(capacity) {
+    this.capacity = capacity;
+    
+    // 空きスロットのスタック
+    this.freeList = new Int32Array(capacity);
+    
+    // 割り当て順のキュー（リングバッファ）。解放済みの項目は世代が一致しないことで見分ける
+    // 解放済みの項目が溜まって溢れそうになったら詰め直すため、スロット数の2倍の大きさを持つ
+    this.queueSize = Math.max(1, capacity * 2);
+    this.queueIndices = new Int32Array(this.queueSize);
+    this.queueSerials = new Float64Array(this.queueSize);
+    
+    // スロットごとの現在の世代（0は未使用）
+    this.serials = new Float64Array(capacity);
+    
+    this.reset();
+  }
+
+  /**
+   * すべてのスロットを空きにする
+   */
+  reset() {
+    // 小さいインデックスから使われるように逆順に積む
+    for (let i = 0; i < this.capacity; i++) {
+      this.freeList[i] = this.capacity - 1 - i;
+    }
+    this.freeCount = this.capacity;
+    this.serials.fill(0);
+    this.nextSerial = 1;
+    
+    this.queueHead = 0;
+    this.queueLength = 0;
+    
+    // 集計区間の値
+    this.failed = 0;
+    this.recycled = 0;
+  }
+
+  /**
+   * 使用中のスロット数
+   * @returns {number} スロット数
+   */
+  get activeCount() {
+    return this.capacity - this.freeCount;
+  }
+
+  /**
+   * スロットを割り当てる
+   * @returns {number} スロットのインデックス（満杯で破棄する設定の場合は-1）
+   */
+  allocate() {
+    let index;
+    
+    if (this.freeCount > 0) {
+      index = this.freeList[--this.freeCount];
+    } else {
+      switch (this.overflowPolicy) {
+        case 'drop':
+          this.failed++;
+          return -1;
+        case 'recycleRandom':
+          index = Math.floor(Math.random() * this.capacity);
+          break;
+        default:
+          index = this.takeOldest();
+          break;
+      }
+      if (index === -1) {
+        this.failed++;
+        return -1;
+      }
+      this.recycled++;
+    }
+    
+    this.serials[index] = this.nextSerial++;
+    this.enqueue(index);
+    return index;
+  }
+
+  /**
+   * スロットを解放する（使用中のスロットに対してのみ呼び出す）
+   * @param {number} index スロットのインデックス
+   */
+  release(index) {
+    if (this.serials[index] === 0) return;
+    
+    this.serials[index] = 0;
+    this.freeList[this.freeCount++] = index;
+  }
+
+  /**
+   * 割り当て順のキューに追加
+   * @param {number} index スロットのインデックス
+   */
+  enqueue(index) {
+    if (this.queueLength === this.queueSize) {
+      this.compactQueue();
+    }
+    
+    const tail = (this.queueHead + this.queueLength) % this.queueSize;
+    this.queueIndices[tail] = index;
+    this.queueSerials[tail] = this.serials[index];
+    this.queueLength++;
+  }
+
+  /**
+   * キューから解放済みの項目を取り除いて詰め直す
+   */
+  compactQueue() {
+    let length = 0;
+    for (let k = 0; k < this.queueLength; k++) {
+      const position = (this.queueHead + k) % this.queueSize;
+      const index = this.queueIndices[position];
+      const serial = this.queueSerials[position];
+      if (this.serials[index] !== serial) continue;
+      
+      // 詰めた先は読み終えた位置より前なので上書きしても問題ない
+      const target = (this.queueHead + length) % this.queueSize;
+      this.queueIndices[target] = index;
+      this.queueSerials[target] = serial;
+      length++;
+    }
+    this.queueLength = length;
+  }
+
+  /**
+   * 最も古い使用中のスロットを取り出す
+   * @returns {number} スロットのインデックス（ない場合は-1）
+   */
+  takeOldest() {
+    while (this.queueLength > 0) {
+      const index = this.queueIndices[this.queueHead];
+      const serial = this.queueSerials[this.queueHead];
+      this.queueHead = (this.queueHead + 1) % this.queueSize;
+      this.queueLength--;
+      
+      if (this.serials[index] === serial) {
+        return index;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * 使用中のスロットを割り当てた順（古い順）に取得
+   * @returns {number[]} スロットのインデックス
+   */
+  getActiveIndices() {
+    this.compactQueue();
+    
+    const indices = [];
+    for (let k = 0; k < this.queueLength; k++) {
+      indices.push(this.queueIndices[(this.queueHead + k) % this.queueSize]);
+    }
+    return indices;
+  }
+
+  /**
+   * 集計区間の割り当ての失敗数と再利用数を取得して次の区間を開始
+   * @returns {Object} { failedAllocations, recycledParticles }
+   */
+  takeStats() {
+    const stats = {
+      failedAllocations: this.failed,
+      recycledParticles: this.recycled
+    };
+    this.failed = 0;
+    this.recycled = 0;
+    return stats;
+  }
+}
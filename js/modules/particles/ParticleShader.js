@@ -0,0 +1,57 @@
+/**
+ * ParticleShader.js
+ * 粒子を描画するシェーダー
+ * 粒子ごとのサイズと透明度を属性で受け取り、丸く縁のぼやけたスプライトとして描画する
+ */
+
+export const ParticleShader = {
+  // pointSize: 基本サイズ、scale: 遠近によるサイズの係数（描画領域の高さの半分）
+  // opacity: 全体の不透明度、softness: 縁のぼかし（0で硬い円、1で中心から徐々に透明）
+  uniforms: {
+    pointSize: { value: 1.0 },
+    scale: { value: 1.0 },
+    opacity: { value: 1.0 },
+    softness: { value: 0.5 }
+  },
+  
+  // 頂点シェーダー（colorはvertexColorsを有効にすると宣言される）
+  vertexShader: `
+    attribute float size;
+    attribute float alpha;
+    
+    uniform float pointSize;
+    uniform float scale;
+    
+    varying vec3 vColor;
+    varying float vAlpha;
+    
+    void main() {
+      vColor = color;
+      vAlpha = alpha;
+      
+      vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+      
+      // PointsMaterialのsizeAttenuationと同じく距離に反比例させる
+      gl_PointSize = pointSize * size * (scale / -mvPosition.z);
+      gl_Position = projectionMatrix * mvPosition;
+    }
+  `,
+  
+  // フラグメントシェーダー
+  fragmentShader: `
+    uniform float opacity;
+    uniform float softness;
+    
+    varying vec3 vColor;
+    varying float vAlpha;
+    
+    void main() {
+      // スプライトの中心からの距離（縁で1）
+      float dist = length(gl_PointCoord - vec2(0.5)) * 2.0;
+      if (dist > 1.0 || vAlpha <= 0.0) discard;
+      
+      float edge = 1.0 - smoothstep(1.0 - max(softness, 0.01), 1.0, dist);
+      gl_FragColor = vec4(vColor, opacity * vAlpha * edge);
+    }
+  `
+};
@@ -5,6 +5,23 @@
 
 import { Config } from '../../config.js';
 import { MathUtils } from '../../utils/MathUtils.js';
+import { ForceFieldSystem } from './ForceFields.js';
+import { EmitterSystem } from './Emitters.js';
+import { SpatialHashGrid } from './SpatialHashGrid.js';
+import { ParticlePool } from './ParticlePool.js';
+import { ParticleShader } from './ParticleShader.js';
+import { ColorGradient } from './ColorGradient.js';
+import { HandLandmarks } from '../tracking/HandLandmarks.js';
+
+// 指が粒子を押す加速度（単位/秒²、指に重なった位置での値で、相互作用半径の端で0になる）
+const PUSH_ACCELERATION = 1800;
+
+// 指に触れている間に光が強まる速さ（1秒あたり）と、1秒後に残る光の割合
+const HIGHLIGHT_RATE = 3;
+const HIGHLIGHT_DECAY = 0.05;
+
+// 指に触れている間に寿命を延ばす速さ（1秒あたりの秒数）
+const LIFETIME_EXTENSION = 5;
 
 export class ParticleSystem {
   /**
@@ -23,6 +40,8 @@ export class ParticleSystem {
     // 粒子の追加データ（Three.jsでは直接扱えないデータ）
     this.velocities = [];
     this.lifetimes = [];
+    this.maxLifetimes = [];
+    this.sizeScales = [];
     this.colors = [];
     this.active = [];
     
@@ -30,8 +49,33 @@ export class ParticleSystem {
     this.particleCount = 0;
     this.maxParticles = this.options.count;
     
+    // 空きスロットの管理（粒子の確保と解放をO(1)で行う）
+    this.pool = new ParticlePool(this.maxParticles, this.options.overflowPolicy);
+    
     // 指の位置データ
     this.fingerPositions = [];
+    
+    // 指先からの放出数の端数（指ごと）
+    this.emissionRemainders = new Map();
+    
+    // 寿命、速度、手からの距離で色を決めるモードのグラデーション
+    this.colorGradient = new ColorGradient(this.options.colorGradient);
+    
+    // 両手の動きなどで一時的に上書きしている設定の元の値
+    this.unboundOptions = {};
+    
+    // 手の近くの粒子だけを相互作用の対象にするための空間インデックス
+    this.grid = new SpatialHashGrid(this.maxParticles, this.options.interactionRadius);
+    
+    // 粒子に働く力場
+    this.forceFields = new ForceFieldSystem(Config.forceFields, eventEmitter);
+    Config.forceFields.fields.forEach(({ type, ...fieldOptions }) => {
+      this.forceFields.add(type, fieldOptions);
+    });
+    
+    // 手のランドマークに追従するエミッター（設定パネルで編集するものはoptions.emitters）
+    this.emitters = new EmitterSystem(Config.emitters, eventEmitter);
+    this.emitters.setEmitters(this.options.emitters);
   }
 
   /**
@@ -41,14 +85,57 @@ export class ParticleSystem {
    */
   init(scene) {
     // ジオメトリの作成
+    const geometry = this.createGeometry(this.maxParticles);
+    
+    // マテリアルの作成（粒子ごとのサイズと透明度を扱うためにシェーダーで描画）
+    const material = new THREE.ShaderMaterial({
+      uniforms: THREE.UniformsUtils.clone(ParticleShader.uniforms),
+      vertexShader: ParticleShader.vertexShader,
+      fragmentShader: ParticleShader.fragmentShader,
+      vertexColors: true,
+      transparent: true,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    });
+    
+    // 粒子システムの作成とシーンへの追加
+    this.particleSystem = new THREE.Points(geometry, material);
+    scene.add(this.particleSystem);
+    
+    this.updateMaterial();
+    this.setViewportHeight(window.innerHeight);
+    
+    console.log(`Particle system initialized with ${this.maxParticles} particles`);
+    return this;
+  }
+  
+  /**
+   * 粒子のジオメトリと追加データを作成（すべての粒子を非アクティブにする）
+   * @param {number} count 粒子の最大数
+   * @returns {THREE.BufferGeometry} ジオメトリ
+   */
+  createGeometry(count) {
     const geometry = new THREE.BufferGeometry();
     
     // 頂点データの初期化
-    const positions = new Float32Array(this.maxParticles * 3);
-    const colors = new Float32Array(this.maxParticles * 3);
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+    const sizes = new Float32Array(count);
+    const alphas = new Float32Array(count);
+    
+    // 放出時に決めた色と、指に触れて白く光る度合い（0～1）
+    this.baseColors = new Float32Array(count * 3);
+    this.highlights = new Float32Array(count);
+    
+    this.velocities = [];
+    this.lifetimes = [];
+    this.maxLifetimes = [];
+    this.sizeScales = [];
+    this.active = [];
+    this.colors = [];
     
     // すべての粒子を画面外に配置
-    for (let i = 0; i < this.maxParticles; i++) {
+    for (let i = 0; i < count; i++) {
       positions[i * 3] = 0;
       positions[i * 3 + 1] = 0;
       positions[i * 3 + 2] = -1000; // 画面外
@@ -62,43 +149,100 @@ export class ParticleSystem {
       // 追加データの初期化
       this.velocities.push({ x: 0, y: 0, z: 0 });
       this.lifetimes.push(0);
+      this.maxLifetimes.push(0);
+      this.sizeScales.push(1);
       this.active.push(false);
       this.colors.push(color);
     }
     
-    // ジオメトリに頂点データを設定
+    // ジオメトリに頂点データを設定（sizeとalphaは寿命に応じて毎フレーム更新する）
     geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
     geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+    geometry.setAttribute('alpha', new THREE.BufferAttribute(alphas, 1));
     
-    // マテリアルの作成
-    const material = new THREE.PointsMaterial({
-      size: this.options.size,
-      vertexColors: true,
-      transparent: true,
-      opacity: 0.8,
-      blending: THREE.AdditiveBlending,
-      sizeAttenuation: true,
-      depthWrite: false
-    });
+    // 粒子の位置、色、サイズ、透明度の参照を取得
+    this.particles = positions;
+    this.particleColors = colors;
+    this.particleSizes = sizes;
+    this.particleAlphas = alphas;
     
-    // 粒子システムの作成とシーンへの追加
-    this.particleSystem = new THREE.Points(geometry, material);
-    scene.add(this.particleSystem);
+    return geometry;
+  }
+  
+  /**
+   * 粒子の最大数を変更（生きている粒子は新しいバッファに引き継ぐ）
+   * @param {number} count 新しい粒子の最大数
+   */
+  resize(count) {
+    count = Math.max(1, Math.round(count));
+    if (count === this.maxParticles) return;
     
-    // 粒子位置と色の参照を取得
-    this.particles = this.particleSystem.geometry.attributes.position.array;
-    this.particleColors = this.particleSystem.geometry.attributes.color.array;
+    // 引き継ぐ粒子（減らす場合は新しく放出されたものから残す）
+    const survivors = this.pool.getActiveIndices();
+    const kept = survivors.slice(Math.max(0, survivors.length - count));
     
-    console.log(`Particle system initialized with ${this.maxParticles} particles`);
-    return this;
+    const old = {
+      geometry: this.particleSystem.geometry,
+      particles: this.particles,
+      particleColors: this.particleColors,
+      velocities: this.velocities,
+      lifetimes: this.lifetimes,
+      maxLifetimes: this.maxLifetimes,
+      sizeScales: this.sizeScales,
+      baseColors: this.baseColors,
+      highlights: this.highlights,
+      colors: this.colors
+    };
+    
+    const geometry = this.createGeometry(count);
+    this.maxParticles = count;
+    this.pool.resize(count);
+    this.grid.setCapacity(count);
+    
+    // 放出順を保ったまま先頭から詰めて配置
+    kept.forEach(oldIndex => {
+      const i = this.pool.allocate();
+      
+      for (let k = 0; k < 3; k++) {
+        this.particles[i * 3 + k] = old.particles[oldIndex * 3 + k];
+        this.particleColors[i * 3 + k] = old.particleColors[oldIndex * 3 + k];
+        this.baseColors[i * 3 + k] = old.baseColors[oldIndex * 3 + k];
+      }
+      this.velocities[i] = old.velocities[oldIndex];
+      this.lifetimes[i] = old.lifetimes[oldIndex];
+      this.maxLifetimes[i] = old.maxLifetimes[oldIndex];
+      this.sizeScales[i] = old.sizeScales[oldIndex];
+      this.highlights[i] = old.highlights[oldIndex];
+      this.colors[i] = old.colors[oldIndex];
+      this.active[i] = true;
+    });
+    
+    // 古いジオメトリを差し替えてGPUのバッファを解放
+    this.particleSystem.geometry = geometry;
+    old.geometry.dispose();
+    
+    this.particleCount = kept.length;
+    console.log(`Particle pool resized to ${count} particles (${kept.length} kept)`);
   }
   
   /**
    * 粒子の更新（毎フレーム呼び出される）
+   * 速度は単位/秒、重力は単位/秒²、寿命は秒で、経過時間に応じて積分するのでフレームレートに依存しない
    * @param {number} deltaTime フレーム間の経過時間（秒）
    * @param {number} frameCount 現在のフレーム数
    */
   update(deltaTime, frameCount) {
+    // タブの切り替えなどで間隔が空いたフレームで粒子が飛ばないように経過時間を制限する
+    const dt = Math.min(deltaTime, this.options.maxDeltaTime);
+    
+    // 手に追従する力場の位置を更新
+    this.forceFields.update(dt, this.fingerPositions);
+    
+    // 摩擦（1秒あたりに残る速度の割合）と指に触れた光の、このフレームでの減衰
+    const damping = Math.pow(this.options.friction, dt);
+    const highlightDecay = Math.pow(HIGHLIGHT_DECAY, dt);
+    
     // 全粒子の更新
     let activeCount = 0;
     
@@ -108,43 +252,64 @@ export class ParticleSystem {
       activeCount++;
       
       // 粒子の寿命を減らす
-      this.lifetimes[i]--;
+      this.lifetimes[i] -= dt;
       
       if (this.lifetimes[i] <= 0) {
         // 寿命が尽きた粒子を非アクティブ化
-        this.active[i] = false;
-        this.particles[i * 3 + 2] = -1000; // Z座標を画面外に
+        this.releaseParticle(i);
         continue;
       }
       
-      // 重力の適用
-      this.velocities[i].y += this.options.gravity;
+      // 重力の適用（シーンはy軸が上向きなので下向きに加速）
+      this.velocities[i].y -= this.options.gravity * dt;
+      
+      // 力場の適用
+      this.forceFields.apply(
+        this.particles[i * 3],
+        this.particles[i * 3 + 1],
+        this.particles[i * 3 + 2],
+        this.velocities[i],
+        dt
+      );
       
       // 摩擦/空気抵抗の適用
-      this.velocities[i].x *= this.options.friction;
-      this.velocities[i].y *= this.options.friction;
-      this.velocities[i].z *= this.options.friction;
+      this.velocities[i].x *= damping;
+      this.velocities[i].y *= damping;
+      this.velocities[i].z *= damping;
       
       // 位置の更新
-      this.particles[i * 3] += this.velocities[i].x;
-      this.particles[i * 3 + 1] += this.velocities[i].y;
-      this.particles[i * 3 + 2] += this.velocities[i].z;
+      this.particles[i * 3] += this.velocities[i].x * dt;
+      this.particles[i * 3 + 1] += this.velocities[i].y * dt;
+      this.particles[i * 3 + 2] += this.velocities[i].z * dt;
       
-      // 透明度の設定（寿命に応じて）
-      const opacity = Math.min(1.0, this.lifetimes[i] / 30); // 消える直前に徐々に透明に
+      // 指に触れた光を徐々に弱める
+      if (this.highlights[i] > 0) {
+        this.highlights[i] = this.highlights[i] > 0.01 ? this.highlights[i] * highlightDecay : 0;
+      }
       
-      // 粒子と指との相互作用
-      this.handleFingerInteraction(i);
+      // 寿命に応じたサイズと透明度、色のモードに応じた色
+      this.updateAppearance(i);
+      this.updateColor(i);
     }
     
+    // 粒子と指との相互作用
+    this.handleFingerInteraction(dt);
+    
     // 指から新しい粒子を放出
-    if (frameCount % 2 === 0) { // 2フレームに1回
-      this.emitParticlesFromFingers();
+    if (this.options.fingertipEmission) {
+      this.emitParticlesFromFingers(dt);
     }
     
+    // エミッターから粒子を放出
+    this.emitters.update(deltaTime, this.fingerPositions, (position, velocity, emitter, hand) =>
+      this.emitFromEmitter(position, velocity, emitter, hand)
+    );
+    
     // 頂点データが更新されたことをThree.jsに通知
     this.particleSystem.geometry.attributes.position.needsUpdate = true;
     this.particleSystem.geometry.attributes.color.needsUpdate = true;
+    this.particleSystem.geometry.attributes.size.needsUpdate = true;
+    this.particleSystem.geometry.attributes.alpha.needsUpdate = true;
     
     // アクティブな粒子数をステータスとして発行
     if (frameCount % 30 === 0) { // 30フレームに1回
@@ -152,100 +317,209 @@ export class ParticleSystem {
       this.eventEmitter.emit('particleSystem:status', {
         activeParticles: activeCount,
         maxParticles: this.maxParticles,
-        usagePercentage: (activeCount / this.maxParticles) * 100
+        usagePercentage: (activeCount / this.maxParticles) * 100,
+        // 前回の発行以降に確保できなかった数と、満杯のため上書きした数
+        ...this.pool.takeStats()
       });
     }
   }
   
   /**
    * 指から粒子を放出
+   * @param {number} deltaTime フレーム間の経過時間（秒）
    */
-  emitParticlesFromFingers() {
-    if (!this.fingerPositions || this.fingerPositions.length === 0) return;
+  emitParticlesFromFingers(deltaTime) {
+    if (!this.fingerPositions || this.fingerPositions.length === 0) {
+      this.emissionRemainders.clear();
+      return;
+    }
+    
+    // 見えなくなった手の端数を捨てる
+    const remainders = new Map();
     
     // 各指先から粒子を放出
     this.fingerPositions.forEach(hand => {
       hand.tips.forEach((tip, fingerIndex) => {
-        // 指が開いているかチェック（開いている場合のみ粒子を放出）
-        if (hand.fingerExtension[fingerIndex]) {
-          const emitCount = MathUtils.randomInt(1, this.options.emissionRate);
-          
-          for (let i = 0; i < emitCount; i++) {
-            this.emitParticle(tip.x, tip.y, 0);
-          }
+        // 伸びている指ほど多く放出する（曲がり具合がない場合や無効時は伸びた指からのみ放出）
+        let openness = this.options.curlEmission && hand.fingerCurl
+          ? 1 - hand.fingerCurl[fingerIndex]
+          : (hand.fingerExtension[fingerIndex] ? 1 : 0);
+        
+        // 見失って予測で保持している手は信頼度に合わせて放出を減らす
+        if (hand.confidence !== undefined) {
+          openness *= hand.confidence;
+        }
+        if (openness <= 0) return;
+        
+        // 1秒あたりの放出数から今回の放出数を求め、端数は次のフレームに持ち越す
+        const key = `${hand.id}:${fingerIndex}`;
+        const amount = (this.emissionRemainders.get(key) || 0) + this.options.emissionRate * openness * deltaTime;
+        const emitCount = Math.floor(amount);
+        remainders.set(key, amount - emitCount);
+        
+        for (let i = 0; i < emitCount; i++) {
+          // 指先の座標は座標変換サービスで視錐台に合わせてあるので、そのまま使うと画面上の指先と重なる
+          // 満杯で確保できなくなったらこの指からの放出をやめる
+          if (this.emitParticle(tip.x, tip.y, tip.z, { hand, fingerIndex }) === -1) break;
         }
       });
     });
+    
+    this.emissionRemainders = remainders;
   }
   
   /**
    * 指と粒子の相互作用
-   * @param {number} index 粒子のインデックス
+   * 粒子を空間インデックスに登録し、手のランドマークや骨の近くにある粒子だけを調べる
+   * 関節や骨が重なる付け根の近くでも強さがモードによって変わらないよう、1つの手からは最も近い点とだけ相互作用させる
+   * @param {number} deltaTime フレーム間の経過時間（秒）
    */
-  handleFingerInteraction(index) {
+  handleFingerInteraction(deltaTime) {
     if (!this.fingerPositions || this.fingerPositions.length === 0) return;
     
-    const px = this.particles[index * 3];
-    const py = this.particles[index * 3 + 1];
-    const pz = this.particles[index * 3 + 2];
+    // 半径が0以下ではどの粒子にも触れない（グリッドのセルの大きさにも使えない）
+    const radius = this.options.interactionRadius;
+    if (!(radius > 0)) return;
+    this.grid.cellSize = radius;
+    this.grid.build(this.particles, this.active, this.maxParticles);
     
-    // 各指との相互作用をチェック
     this.fingerPositions.forEach(hand => {
-      hand.tips.forEach((tip, fingerIndex) => {
-        // 指先と粒子の距離を計算
-        const dx = tip.x - px;
-        const dy = tip.y - py;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        
-        // 相互作用半径内の場合
-        if (distance < this.options.interactionRadius) {
-          // 指の動きに応じて粒子を押す
-          const pushStrength = 0.5 * (1 - distance / this.options.interactionRadius);
-          
-          // 指の速度を推定（指の履歴から）
-          let vx = 0, vy = 0;
-          
-          // 指の履歴があれば速度を計算
-          if (hand.velocity) {
-            vx = hand.velocity.x * 0.1;
-            vy = hand.velocity.y * 0.1;
-          }
-          
-          // 粒子に速度を加える
-          this.velocities[index].x += (dx / distance) * pushStrength + vx;
-          this.velocities[index].y += (dy / distance) * pushStrength + vy;
+      const mode = this.options.interactionMode;
+      
+      // 粒子ごとに最も近いランドマーク（または骨上の点）を選ぶ（粒子のインデックス → { point, velocity, distanceSq }）
+      const nearest = new Map();
+      const consider = (index, point, velocity) => {
+        const dx = point.x - this.particles[index * 3];
+        const dy = point.y - this.particles[index * 3 + 1];
+        const distanceSq = dx * dx + dy * dy;
+        const current = nearest.get(index);
+        if (!current || distanceSq < current.distanceSq) {
+          nearest.set(index, { point, velocity, distanceSq });
+        }
+      };
+      
+      if (mode === 'skeleton') {
+        // 骨（関節をつなぐ線分）との距離で判定
+        HandLandmarks.CONNECTIONS.forEach(([a, b]) => {
+          const start = hand.joints[a];
+          const end = hand.joints[b];
+          const velocity = this.getLandmarkVelocity(hand, b);
           
-          // 色を少し変化させる（インタラクション効果）
-          const colorChange = 0.05;
-          this.particleColors[index * 3] = Math.min(1, this.particleColors[index * 3] + colorChange);
+          this.grid.queryRect(
+            Math.min(start.x, end.x) - radius,
+            Math.min(start.y, end.y) - radius,
+            Math.max(start.x, end.x) + radius,
+            Math.max(start.y, end.y) + radius,
+            (index) => {
+              consider(index, this.closestPointOnSegment(index, start, end), velocity);
+            }
+          );
+        });
+      } else {
+        // 指先のみ、またはすべての関節との距離で判定
+        const indices = mode === 'joints'
+          ? hand.joints.map((joint, i) => i)
+          : HandLandmarks.FINGER_TIPS;
+        
+        indices.forEach(landmark => {
+          const point = hand.joints[landmark];
+          const velocity = this.getLandmarkVelocity(hand, landmark);
           
-          // 寿命を少し延長
-          this.lifetimes[index] += 5;
-        }
+          this.grid.queryRadius(point.x, point.y, radius, (index) => {
+            consider(index, point, velocity);
+          });
+        });
+      }
+      
+      nearest.forEach(({ point, velocity }, index) => {
+        this.interactWithParticle(index, point, velocity, deltaTime);
       });
     });
   }
   
+  /**
+   * ランドマークの速度を取得（指先は指先の速度、それ以外は手のひらの速度）
+   * @param {Object} hand 手のデータ
+   * @param {number} landmark 関節のインデックス
+   * @returns {Object|null} 速度 { x, y, z }（単位/秒）
+   */
+  getLandmarkVelocity(hand, landmark) {
+    const fingerIndex = HandLandmarks.FINGER_TIPS.indexOf(landmark);
+    if (fingerIndex !== -1 && hand.tipVelocities) {
+      return hand.tipVelocities[fingerIndex];
+    }
+    return hand.velocity || null;
+  }
+  
+  /**
+   * 線分上で粒子に最も近い点を計算（XY平面）
+   * @param {number} index 粒子のインデックス
+   * @param {Object} start 線分の始点 { x, y }
+   * @param {Object} end 線分の終点 { x, y }
+   * @returns {Object} 最も近い点 { x, y }
+   */
+  closestPointOnSegment(index, start, end) {
+    const px = this.particles[index * 3];
+    const py = this.particles[index * 3 + 1];
+    const ex = end.x - start.x;
+    const ey = end.y - start.y;
+    const lengthSq = ex * ex + ey * ey;
+    const t = lengthSq > 0
+      ? MathUtils.clamp(((px - start.x) * ex + (py - start.y) * ey) / lengthSq, 0, 1)
+      : 0;
+    
+    return { x: start.x + ex * t, y: start.y + ey * t };
+  }
+  
+  /**
+   * 1つの粒子と1つのランドマーク（または骨上の点）の相互作用
+   * @param {number} index 粒子のインデックス
+   * @param {Object} point ランドマークの位置 { x, y }
+   * @param {Object|null} velocity ランドマークの速度（単位/秒）
+   * @param {number} deltaTime フレーム間の経過時間（秒）
+   */
+  interactWithParticle(index, point, velocity, deltaTime) {
+    // ランドマークと粒子の距離を計算
+    const dx = point.x - this.particles[index * 3];
+    const dy = point.y - this.particles[index * 3 + 1];
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    
+    // 相互作用半径内の場合
+    if (distance === 0 || distance >= this.options.interactionRadius) return;
+    
+    // 指の動きに応じて粒子を押す
+    const push = PUSH_ACCELERATION * (1 - distance / this.options.interactionRadius) * deltaTime;
+    
+    // 触れている間、指の動きの勢いを粒子に伝える
+    let vx = 0, vy = 0;
+    if (velocity) {
+      vx = velocity.x * this.options.momentumTransfer * deltaTime;
+      vy = velocity.y * this.options.momentumTransfer * deltaTime;
+    }
+    
+    // 粒子に速度を加える
+    this.velocities[index].x += (dx / distance) * push + vx;
+    this.velocities[index].y += (dy / distance) * push + vy;
+    
+    // 触れた粒子を白く光らせる（インタラクション効果、updateで徐々に元の色に戻る）
+    this.highlights[index] = Math.min(1, this.highlights[index] + HIGHLIGHT_RATE * deltaTime);
+    
+    // 寿命を少し延長
+    this.lifetimes[index] += LIFETIME_EXTENSION * deltaTime;
+  }
+  
   /**
    * 新しい粒子を放出
    * @param {number} x X座標
    * @param {number} y Y座標
    * @param {number} z Z座標
+   * @param {Object} [source=null] 放出元 { hand, fingerIndex }（手や指で色分けするモードで使う）
+   * @returns {number} 放出した粒子のインデックス（満杯で確保できない場合は-1）
    */
-  emitParticle(x, y, z) {
-    // 非アクティブな粒子を探す
-    let particleIndex = -1;
-    for (let i = 0; i < this.maxParticles; i++) {
-      if (!this.active[i]) {
-        particleIndex = i;
-        break;
-      }
-    }
-    
-    // 非アクティブな粒子がない場合はランダムで上書き
-    if (particleIndex === -1) {
-      particleIndex = Math.floor(Math.random() * this.maxParticles);
-    }
+  emitParticle(x, y, z, source = null) {
+    // 空きスロットを確保（満杯の場合はoverflowPolicyに従って上書きするか諦める）
+    const particleIndex = this.pool.allocate();
+    if (particleIndex === -1) return -1;
     
     // 粒子を初期化
     this.active[particleIndex] = true;
@@ -255,23 +529,204 @@ export class ParticleSystem {
     this.particles[particleIndex * 3 + 1] = y;
     this.particles[particleIndex * 3 + 2] = z;
     
-    // ランダムな初期速度
+    // ランダムな初期速度（単位/秒）
     const angle = Math.random() * Math.PI * 2;
     const speed = Math.random() * this.options.maxSpeed;
     this.velocities[particleIndex] = {
       x: Math.cos(angle) * speed,
       y: Math.sin(angle) * speed,
-      z: (Math.random() - 0.5) * 0.2
+      z: (Math.random() - 0.5) * 12
     };
     
     // 寿命の設定
     this.lifetimes[particleIndex] = this.options.lifetime;
+    this.maxLifetimes[particleIndex] = this.options.lifetime;
+    this.sizeScales[particleIndex] = 1;
     
     // 色の設定
-    const color = new THREE.Color(this.getRandomColor());
-    this.particleColors[particleIndex * 3] = color.r;
-    this.particleColors[particleIndex * 3 + 1] = color.g;
-    this.particleColors[particleIndex * 3 + 2] = color.b;
+    this.setParticleColor(particleIndex, this.getEmissionColor(source));
+    
+    this.updateAppearance(particleIndex);
+    this.updateColor(particleIndex);
+    
+    return particleIndex;
+  }
+  
+  /**
+   * エミッターの設定で粒子を1つ放出
+   * @param {Object} position 放出位置 { x, y, z }
+   * @param {Object} velocity 初速 { x, y, z }
+   * @param {Object} emitter エミッター
+   * @param {Object} hand 追従している手のデータ
+   * @returns {number} 放出した粒子のインデックス（満杯で確保できない場合は-1）
+   */
+  emitFromEmitter(position, velocity, emitter, hand) {
+    // 関節に付けた点のエミッターは指で色分けするモードでその指の色を使う
+    const fingerIndex = emitter.shape === 'point'
+      ? HandLandmarks.FINGERS.findIndex(finger => finger.includes(emitter.landmark))
+      : -1;
+    const source = fingerIndex >= 0 ? { hand, fingerIndex } : { hand };
+    
+    const index = this.emitParticle(position.x, position.y, position.z, source);
+    if (index === -1) return -1;
+    
+    this.velocities[index] = velocity;
+    
+    if (emitter.lifetime) {
+      this.lifetimes[index] = emitter.lifetime;
+      this.maxLifetimes[index] = emitter.lifetime;
+    }
+    if (emitter.color) {
+      this.setParticleColor(index, emitter.color);
+    }
+    
+    this.updateAppearance(index);
+    this.updateColor(index);
+    return index;
+  }
+  
+  /**
+   * 寿命に応じて粒子のサイズと透明度を更新
+   * 放出直後のfadeInの間に現れ、消える前のfadeOutの間に透明になる。サイズはsizeOverLifetimeの曲線に従う
+   * @param {number} index 粒子のインデックス
+   */
+  updateAppearance(index) {
+    const { fadeIn, fadeOut, sizeOverLifetime } = this.options;
+    const remaining = this.lifetimes[index];
+    const elapsed = this.getElapsedLifetime(index);
+    
+    const fadeInAlpha = fadeIn > 0 ? Math.min(1, elapsed / fadeIn) : 1;
+    const fadeOutAlpha = fadeOut > 0 ? Math.min(1, remaining / fadeOut) : 1;
+    this.particleAlphas[index] = Math.min(fadeInAlpha, fadeOutAlpha);
+    
+    this.particleSizes[index] = this.sizeScales[index] * MathUtils.sampleCurve(sizeOverLifetime, this.getAge(index));
+  }
+  
+  /**
+   * 放出からの経過時間を取得（相互作用で寿命が延びた場合は延びた分だけ若返る）
+   * @param {number} index 粒子のインデックス
+   * @returns {number} 経過時間（秒）
+   */
+  getElapsedLifetime(index) {
+    return Math.max(0, this.maxLifetimes[index] - this.lifetimes[index]);
+  }
+  
+  /**
+   * 寿命に対する経過の割合を取得
+   * @param {number} index 粒子のインデックス
+   * @returns {number} 0（放出直後）～1（消滅）
+   */
+  getAge(index) {
+    const total = Math.max(this.maxLifetimes[index], this.lifetimes[index]);
+    return total > 0 ? this.getElapsedLifetime(index) / total : 1;
+  }
+  
+  /**
+   * 色のモードに応じて粒子の色を更新
+   * random、hand、fingerは放出時の色、lifetime、speed、distanceはグラデーションから毎フレーム求める
+   * @param {number} index 粒子のインデックス
+   */
+  updateColor(index) {
+    const offset = index * 3;
+    const colors = this.particleColors;
+    
+    switch (this.options.colorMode) {
+      case 'lifetime':
+        this.colorGradient.sample(this.getAge(index), colors, offset);
+        break;
+      case 'speed': {
+        const { x, y, z } = this.velocities[index];
+        const speed = Math.sqrt(x * x + y * y + z * z);
+        this.colorGradient.sample(speed / this.options.maxSpeed, colors, offset);
+        break;
+      }
+      case 'distance':
+        this.colorGradient.sample(this.getNearestHandDistance(index) / this.options.colorDistanceRange, colors, offset);
+        break;
+      default:
+        colors[offset] = this.baseColors[offset];
+        colors[offset + 1] = this.baseColors[offset + 1];
+        colors[offset + 2] = this.baseColors[offset + 2];
+        break;
+    }
+    
+    // 指に触れて光っている粒子は白に近づける
+    const highlight = this.highlights[index];
+    if (highlight > 0) {
+      colors[offset] += (1 - colors[offset]) * highlight;
+      colors[offset + 1] += (1 - colors[offset + 1]) * highlight;
+      colors[offset + 2] += (1 - colors[offset + 2]) * highlight;
+    }
+  }
+  
+  /**
+   * 粒子から最も近い手（手のひらの中心）までの距離を取得
+   * @param {number} index 粒子のインデックス
+   * @returns {number} 距離（手がない場合はInfinity）
+   */
+  getNearestHandDistance(index) {
+    let nearest = Infinity;
+    const px = this.particles[index * 3];
+    const py = this.particles[index * 3 + 1];
+    const pz = this.particles[index * 3 + 2];
+    
+    this.fingerPositions.forEach(hand => {
+      const dx = hand.palm.x - px;
+      const dy = hand.palm.y - py;
+      const dz = hand.palm.z - pz;
+      nearest = Math.min(nearest, Math.sqrt(dx * dx + dy * dy + dz * dz));
+    });
+    return nearest;
+  }
+  
+  /**
+   * 放出時の色を決める
+   * @param {Object|null} source 放出元 { hand, fingerIndex }
+   * @returns {string} カラーコード
+   */
+  getEmissionColor(source) {
+    const { colorMode, colors } = this.options;
+    
+    // 手のモードは左手にパレットの1色目、右手に2色目を使う
+    if (colorMode === 'hand' && source && source.hand) {
+      return colors[(source.hand.handedness === 'Right' ? 1 : 0) % colors.length];
+    }
+    
+    // 指のモードは親指から順にパレットの色を使う
+    if (colorMode === 'finger' && source && source.fingerIndex !== undefined) {
+      return colors[source.fingerIndex % colors.length];
+    }
+    
+    return this.getRandomColor();
+  }
+  
+  /**
+   * 粒子の色を設定（random、hand、fingerのモードでのみ表示に使われる）
+   * @param {number} index 粒子のインデックス
+   * @param {string|THREE.Color} color 色
+   */
+  setParticleColor(index, color) {
+    const c = color instanceof THREE.Color ? color : new THREE.Color(color);
+    const offset = index * 3;
+    this.baseColors[offset] = c.r;
+    this.baseColors[offset + 1] = c.g;
+    this.baseColors[offset + 2] = c.b;
+    this.particleColors[offset] = c.r;
+    this.particleColors[offset + 1] = c.g;
+    this.particleColors[offset + 2] = c.b;
+    this.highlights[index] = 0;
+  }
+  
+  /**
+   * 粒子を非アクティブ化してスロットを空きに戻す
+   * @param {number} index 粒子のインデックス
+   */
+  releaseParticle(index) {
+    this.active[index] = false;
+    this.particles[index * 3 + 2] = -1000; // Z座標を画面外に
+    this.particleAlphas[index] = 0;
+    this.particleSizes[index] = 0;
+    this.pool.release(index);
   }
   
   /**
@@ -291,6 +746,44 @@ export class ParticleSystem {
     this.fingerPositions = handData.hands;
   }
   
+  /**
+   * 力場を追加
+   * @param {string} type 種類（attractor、repulsor、vortex、drag、wind、turbulence）
+   * @param {Object} [options={}] 力場の設定（ForceFieldSystem.addを参照）
+   * @returns {Object} 追加した力場
+   */
+  addForceField(type, options = {}) {
+    return this.forceFields.add(type, options);
+  }
+  
+  /**
+   * エミッターを追加
+   * @param {string} shape 形状（point、ring、line、disc、bone）
+   * @param {Object} [options={}] エミッターの設定（EmitterSystem.addを参照）
+   * @returns {Object} 追加したエミッター
+   */
+  addEmitter(shape, options = {}) {
+    return this.emitters.add(shape, options);
+  }
+  
+  /**
+   * エミッターを削除
+   * @param {Object|number} emitterOrId エミッターまたはそのID
+   * @returns {boolean} 削除した場合はtrue
+   */
+  removeEmitter(emitterOrId) {
+    return this.emitters.remove(emitterOrId);
+  }
+  
+  /**
+   * 力場を削除
+   * @param {Object|number} fieldOrId 力場またはそのID
+   * @returns {boolean} 削除した場合はtrue
+   */
+  removeForceField(fieldOrId) {
+    return this.forceFields.remove(fieldOrId);
+  }
+  
   /**
    * 粒子システムのリセット
    */
@@ -299,9 +792,14 @@ export class ParticleSystem {
     for (let i = 0; i < this.maxParticles; i++) {
       this.active[i] = false;
       this.particles[i * 3 + 2] = -1000; // Z座標を画面外に
+      this.particleAlphas[i] = 0;
+      this.particleSizes[i] = 0;
     }
+    this.pool.reset();
     
     this.particleSystem.geometry.attributes.position.needsUpdate = true;
+    this.particleSystem.geometry.attributes.size.needsUpdate = true;
+    this.particleSystem.geometry.attributes.alpha.needsUpdate = true;
     console.log('Particle system reset');
   }
   
@@ -310,13 +808,18 @@ export class ParticleSystem {
    * @returns {Object} 現在の粒子システムのプロパティ
    */
   getProperties() {
+    const options = { ...this.options, ...this.unboundOptions };
+    
     return {
       particleCount: this.particleCount,
       maxParticles: this.maxParticles,
-      size: this.options.size,
-      lifetime: this.options.lifetime,
-      gravity: this.options.gravity,
-      friction: this.options.friction
+      size: options.size,
+      lifetime: options.lifetime,
+      gravity: options.gravity,
+      friction: options.friction,
+      colors: options.colors,
+      colorMode: options.colorMode,
+      colorGradient: options.colorGradient
     };
   }
   
@@ -325,14 +828,73 @@ export class ParticleSystem {
    * @param {Object} properties 更新するプロパティ
    */
   updateProperties(properties) {
+    // 一時的に上書き中の設定は、上書きの解除後に戻す値を更新する
+    Object.keys(properties).forEach(key => {
+      if (key in this.unboundOptions) {
+        this.unboundOptions[key] = properties[key];
+      }
+    });
+    
     this.options = { ...this.options, ...properties };
     
-    // マテリアルのサイズを更新
-    if (properties.size !== undefined) {
-      this.particleSystem.material.size = properties.size;
+    // 粒子の最大数を変更した場合はバッファを作り直す
+    if (properties.count !== undefined && this.particleSystem) {
+      this.resize(properties.count);
     }
     
+    if (properties.emitters !== undefined) {
+      this.emitters.setEmitters(this.options.emitters);
+    }
+    
+    if (properties.colorGradient !== undefined) {
+      this.colorGradient.setStops(this.options.colorGradient);
+    }
+    
+    if (properties.overflowPolicy !== undefined) {
+      this.pool.overflowPolicy = this.options.overflowPolicy;
+    }
+    
+    // マテリアルのサイズ、不透明度、ぼかしを更新
+    this.updateMaterial();
+    
     console.log('Particle system properties updated:', properties);
-    this.eventEmitter.emit('particleSystem:propertiesUpdated', this.options);
+    this.eventEmitter.emit('particleSystem:propertiesUpdated', { ...this.options, ...this.unboundOptions });
+  }
+  
+  /**
+   * 設定を一時的に上書き（毎フレーム呼び出してよい。含まれない設定は元の値に戻る）
+   * @param {Object} properties 上書きするプロパティ（空のオブジェクトですべて元に戻す）
+   */
+  setBoundProperties(properties) {
+    Object.assign(this.options, this.unboundOptions);
+    this.unboundOptions = {};
+    
+    Object.entries(properties).forEach(([key, value]) => {
+      this.unboundOptions[key] = this.options[key];
+      this.options[key] = value;
+    });
+    
+    this.updateMaterial();
+  }
+  
+  /**
+   * 設定をシェーダーのユニフォームに反映
+   */
+  updateMaterial() {
+    if (!this.particleSystem) return;
+    
+    const { uniforms } = this.particleSystem.material;
+    uniforms.pointSize.value = this.options.size;
+    uniforms.opacity.value = this.options.opacity;
+    uniforms.softness.value = this.options.softness;
+  }
+  
+  /**
+   * 描画領域の高さを設定（遠近によるサイズの計算に使う。ウィンドウのリサイズ時に呼び出す）
+   * @param {number} height 描画領域の高さ（ピクセル）
+   */
+  setViewportHeight(height) {
+    if (!this.particleSystem) return;
+    this.particleSystem.material.uniforms.scale.value = height / 2;
   }
 }
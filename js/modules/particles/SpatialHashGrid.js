@@ -0,0 +1,134 @@
+/**
+ * SpatialHashGrid.js
+ * 粒子の位置（XY平面）を一様なグリッドに登録し、指定した範囲の近くにある粒子だけを取り出す空間インデックス
+ * 毎フレーム作り直す前提で、配列を使い回して割り当てを発生させない（計数ソートで登録する）
+ */
+
+// セル座標をハッシュ値に変換する係数（大きな素数）
+const HASH_X = 73856093;
+const HASH_Y = 19349663;
+
+export class SpatialHashGrid {
+  /**
+   * コンストラクタ
+   * @param {number} capacity 登録できる粒子の最大数
+   * @param {number} cellSize セルの大きさ（シーン座標、相互作用半径程度にする）
+   * @param {number} [tableSize=4096] ハッシュテーブルの大きさ
+   */
+  constructor(capacity, cellSize, tableSize = 4096) {
+    this.cellSize = cellSize;
+    this.tableSize = tableSize;
+    
+    // バケットごとの開始位置（tableSize + 1個）と、バケット順に並べた粒子のインデックス
+    this.cellStart = new Int32Array(tableSize + 1);
+    this.entries = new Int32Array(capacity);
+    this.hashes = new Int32Array(capacity);
+    this.count = 0;
+  }
+
+  /**
+   * 登録できる粒子の最大数を変更
+   * @param {number} capacity 粒子の最大数
+   */
+  setCapacity(capacity) {
+    if (capacity === this.entries.length) return;
+    this.entries = new Int32Array(capacity);
+    this.hashes = new Int32Array(capacity);
+  }
+
+  /**
+   * セル座標のハッシュ値を計算
+   * @param {number} cx セルのX座標
+   * @param {number} cy セルのY座標
+   * @returns {number} バケットのインデックス
+   */
+  hash(cx, cy) {
+    const h = (cx * HASH_X) ^ (cy * HASH_Y);
+    return Math.abs(h) % this.tableSize;
+  }
+
+  /**
+   * アクティブな粒子を登録し直す
+   * @param {Float32Array} positions 粒子の位置（x, y, zの並び）
+   * @param {Array} active 粒子ごとのアクティブ状態
+   * @param {number} maxParticles 粒子数
+   */
+  build(positions, active, maxParticles) {
+    const cellStart = this.cellStart;
+    cellStart.fill(0);
+    
+    // バケットごとの粒子数を数える
+    for (let i = 0; i < maxParticles; i++) {
+      if (!active[i]) {
+        this.hashes[i] = -1;
+        continue;
+      }
+      const h = this.hash(
+        Math.floor(positions[i * 3] / this.cellSize),
+        Math.floor(positions[i * 3 + 1] / this.cellSize)
+      );
+      this.hashes[i] = h;
+      cellStart[h + 1]++;
+    }
+    
+    // 累積和で各バケットの開始位置を求める
+    for (let h = 0; h < this.tableSize; h++) {
+      cellStart[h + 1] += cellStart[h];
+    }
+    
+    // バケット順に粒子を並べる（開始位置を一時的にずらしながら詰め、最後に戻す）
+    for (let i = 0; i < maxParticles; i++) {
+      const h = this.hashes[i];
+      if (h < 0) continue;
+      this.entries[cellStart[h]++] = i;
+    }
+    for (let h = this.tableSize; h > 0; h--) {
+      cellStart[h] = cellStart[h - 1];
+    }
+    cellStart[0] = 0;
+    
+    this.count = cellStart[this.tableSize];
+  }
+
+  /**
+   * 矩形範囲に重なるセルの粒子を列挙（ハッシュの衝突で範囲外の粒子も含まれるため、距離は呼び出し側で確認する）
+   * @param {number} minX 範囲の左端
+   * @param {number} minY 範囲の下端
+   * @param {number} maxX 範囲の右端
+   * @param {number} maxY 範囲の上端
+   * @param {Function} callback 粒子ごとに呼び出す関数 (index) => void
+   */
+  queryRect(minX, minY, maxX, maxY, callback) {
+    const x0 = Math.floor(minX / this.cellSize);
+    const y0 = Math.floor(minY / this.cellSize);
+    const x1 = Math.floor(maxX / this.cellSize);
+    const y1 = Math.floor(maxY / this.cellSize);
+    
+    // ハッシュが衝突したセルで同じバケットを二度調べないようにする
+    const visited = [];
+    
+    for (let cx = x0; cx <= x1; cx++) {
+      for (let cy = y0; cy <= y1; cy++) {
+        const h = this.hash(cx, cy);
+        if (visited.includes(h)) continue;
+        visited.push(h);
+        
+        const end = this.cellStart[h + 1];
+        for (let k = this.cellStart[h]; k < end; k++) {
+          callback(this.entries[k]);
+        }
+      }
+    }
+  }
+
+  /**
+   * 点の周囲の粒子を列挙
+   * @param {number} x 中心のX座標
+   * @param {number} y 中心のY座標
+   * @param {number} radius 半径
+   * @param {Function} callback 粒子ごとに呼び出す関数 (index) => void
+   */
+  queryRadius(x, y, radius, callback) {
+    this.queryRect(x - radius, y - radius, x + radius, y + radius, callback);
+  }
+}
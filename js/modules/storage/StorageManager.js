@@ -5,6 +5,13 @@
 
 import { Config } from '../../config.js';
 
+// 保存する設定の形式のバージョン
+// 1: 寿命、フェード、重力、摩擦、速度がフレーム単位（60fps想定）、2: 秒単位
+export const SETTINGS_VERSION = 2;
+
+// バージョン1の設定をフレーム単位から秒単位に換算する基準のフレームレート
+const LEGACY_FRAME_RATE = 60;
+
 export class StorageManager {
   /**
    * コンストラクタ
@@ -346,7 +353,7 @@ export class StorageManager {
   saveSettings(settings) {
     if (this.localStorageAvailable) {
       try {
-        localStorage.setItem('particleSettings', JSON.stringify(settings));
+        localStorage.setItem('particleSettings', JSON.stringify({ ...settings, settingsVersion: SETTINGS_VERSION }));
         console.log('Settings saved to localStorage');
         return true;
       } catch (error) {
@@ -365,7 +372,7 @@ export class StorageManager {
       try {
         const settings = localStorage.getItem('particleSettings');
         if (settings) {
-          return JSON.parse(settings);
+          return this.migrateSettings(JSON.parse(settings));
         }
       } catch (error) {
         console.error('Error loading settings from localStorage:', error);
@@ -374,6 +381,72 @@ export class StorageManager {
     return null;
   }
 
+  /**
+   * 古い形式の設定を現在の形式に変換
+   * @param {Object} settings 設定（settingsVersionがない場合はバージョン1とみなす）
+   * @param {number} [version] 設定の形式のバージョン（省略時はsettings.settingsVersion）
+   * @returns {Object} 現在の形式の設定（settingsVersionは含まない）
+   */
+  migrateSettings(settings, version = settings.settingsVersion || 1) {
+    const { settingsVersion, ...migrated } = settings;
+    
+    if (version < 2) {
+      // フレーム単位の値を秒単位に換算（バージョン1で保存していた項目のみ。それ以外は現在の形式のまま）
+      const fps = LEGACY_FRAME_RATE;
+      const convert = (key, fn) => {
+        if (typeof migrated[key] === 'number') {
+          migrated[key] = fn(migrated[key]);
+        }
+      };
+      convert('lifetime', value => value / fps);
+      convert('gravity', value => value * fps * fps);
+      convert('friction', value => Math.pow(value, fps));
+      convert('maxSpeed', value => value * fps);
+      // 2フレームに1回、1～放出レートの一様乱数の個数を放出していた
+      convert('emissionRate', value => (1 + value) / 2 * (fps / 2));
+      
+      console.log(`Settings migrated from version ${version} to ${SETTINGS_VERSION}`);
+    }
+    
+    return migrated;
+  }
+
+  /**
+   * カメラの設定を保存（設定パネルの保存ボタンを押さなくても選択を記憶する）
+   * @param {Object} settings カメラの設定（cameraDevice、cameraResolution、cameraFrameRate）
+   * @returns {boolean} 成功した場合はtrue
+   */
+  saveCameraSettings(settings) {
+    if (this.localStorageAvailable) {
+      try {
+        const current = this.loadCameraSettings() || {};
+        localStorage.setItem('cameraSettings', JSON.stringify({ ...current, ...settings }));
+        return true;
+      } catch (error) {
+        console.error('Error saving camera settings to localStorage:', error);
+      }
+    }
+    return false;
+  }
+
+  /**
+   * カメラの設定を読み込み
+   * @returns {Object|null} 保存されたカメラの設定
+   */
+  loadCameraSettings() {
+    if (this.localStorageAvailable) {
+      try {
+        const settings = localStorage.getItem('cameraSettings');
+        if (settings) {
+          return JSON.parse(settings);
+        }
+      } catch (error) {
+        console.error('Error loading camera settings from localStorage:', error);
+      }
+    }
+    return null;
+  }
+
   /**
    * Base64文字列をArrayBufferに変換
    * @param {string} base64 Base64文字列
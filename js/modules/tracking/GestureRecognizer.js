@@ -0,0 +1,260 @@
+/**
+ * GestureRecognizer.js
+ * 手の関節点から静的なジェスチャー（グー、ピンチ、指さしなど）を認識するモジュール
+ */
+
+import { Config } from '../../config.js';
+import { MathUtils } from '../../utils/MathUtils.js';
+import { HandLandmarks } from './HandLandmarks.js';
+
+// 指の状態テンプレート（1: 伸びている、0: 曲がっている、null: 問わない）
+// 並びは親指、人差し指、中指、薬指、小指
+const GESTURE_TEMPLATES = {
+  fist: [0, 0, 0, 0, 0],
+  openPalm: [1, 1, 1, 1, 1],
+  point: [null, 1, 0, 0, 0],
+  peace: [null, 1, 1, 0, 0],
+  thumbsUp: [1, 0, 0, 0, 0]
+};
+
+export class GestureRecognizer {
+  /**
+   * コンストラクタ
+   * @param {Object} options 設定オプション
+   * @param {EventEmitter} eventEmitter イベントエミッタ
+   */
+  constructor(options = {}, eventEmitter) {
+    this.options = { ...Config.gestures, ...options };
+    this.eventEmitter = eventEmitter;
+    
+    // 手ごとの確定済みジェスチャー
+    this.activeGestures = new Map();
+    
+    // 手ごとの切り替え候補（チャタリング防止用）
+    this.candidates = new Map();
+  }
+
+  /**
+   * 手のデータからジェスチャーを更新（handTracker:updateの受信時に呼び出す）
+   * @param {Object} handData 手の位置データ
+   */
+  update(handData) {
+    if (!this.options.enabled) return;
+    
+    const seenIds = new Set();
+    
+    handData.hands.forEach(hand => {
+      const handId = hand.id;
+      seenIds.add(handId);
+      
+      const result = this.classify(hand);
+      this.updateHandGesture(handId, hand, result);
+    });
+    
+    // 見えなくなった手のジェスチャーを終了
+    for (const handId of [...this.activeGestures.keys()]) {
+      if (!seenIds.has(handId)) {
+        this.endGesture(handId);
+      }
+    }
+  }
+
+  /**
+   * 手ごとのジェスチャー状態を更新し、必要ならイベントを発行
+   * @param {number} handId 手のID
+   * @param {Object} hand 手のデータ
+   * @param {Object|null} result 認識結果 { name, confidence }
+   */
+  updateHandGesture(handId, hand, result) {
+    const active = this.activeGestures.get(handId);
+    const name = result ? result.name : null;
+    
+    // 現在の状態が継続している場合はアンカーと信頼度のみ更新
+    if (!active && !name) {
+      this.candidates.delete(handId);
+      return;
+    }
+    if (active && active.name === name) {
+      active.confidence = result.confidence;
+      active.anchor = this.getAnchor(hand, name);
+      this.candidates.delete(handId);
+      return;
+    }
+    
+    // 一定フレーム連続で同じ結果が出た場合のみ切り替える
+    const candidate = this.candidates.get(handId);
+    if (!candidate || candidate.name !== name) {
+      this.candidates.set(handId, { name, frames: 1 });
+      return;
+    }
+    
+    candidate.frames++;
+    if (candidate.frames < this.options.stableFrames) return;
+    
+    this.candidates.delete(handId);
+    this.endGesture(handId);
+    
+    if (!name) return;
+    
+    const gesture = {
+      name,
+      handId,
+      handedness: hand.handedness,
+      confidence: result.confidence,
+      anchor: this.getAnchor(hand, name),
+      startTime: performance.now()
+    };
+    this.activeGestures.set(handId, gesture);
+    
+    this.eventEmitter.emit('handTracker:gesture', {
+      gesture: gesture.name,
+      handId,
+      handedness: gesture.handedness,
+      confidence: gesture.confidence,
+      anchor: gesture.anchor
+    });
+  }
+
+  /**
+   * ジェスチャーを終了する
+   * @param {number} handId 手のID
+   */
+  endGesture(handId) {
+    const active = this.activeGestures.get(handId);
+    if (!active) return;
+    
+    this.activeGestures.delete(handId);
+    this.eventEmitter.emit('handTracker:gestureEnd', {
+      gesture: active.name,
+      handId,
+      handedness: active.handedness,
+      confidence: active.confidence,
+      anchor: active.anchor,
+      duration: performance.now() - active.startTime
+    });
+  }
+
+  /**
+   * すべてのジェスチャーを終了（手が検出されなくなった時など）
+   */
+  reset() {
+    for (const handId of [...this.activeGestures.keys()]) {
+      this.endGesture(handId);
+    }
+    this.candidates.clear();
+  }
+
+  /**
+   * 1つの手のジェスチャーを分類
+   * @param {Object} hand 手のデータ
+   * @returns {Object|null} 認識結果 { name, confidence }（該当なしはnull）
+   */
+  classify(hand) {
+    const joints = hand.joints;
+    if (!joints || joints.length < 21) return null;
+    
+    // 手の大きさ（手首から中指の付け根まで）を基準にしてスケールに依存しない判定にする
+    const scale = MathUtils.distance3D(joints[HandLandmarks.WRIST], joints[9]);
+    if (scale === 0) return null;
+    
+    const extension = this.getFingerExtensionScores(joints, scale);
+    
+    // ピンチは指の状態に関係なく優先して判定
+    const pinchDistance = MathUtils.distance3D(joints[4], joints[8]) / scale;
+    const pinchScore = 1 - MathUtils.smoothstep(
+      this.options.pinchThreshold * 0.5,
+      this.options.pinchThreshold,
+      pinchDistance
+    );
+    
+    let best = null;
+    if (pinchScore >= this.options.minConfidence) {
+      best = { name: 'pinch', confidence: pinchScore };
+    }
+    
+    Object.entries(GESTURE_TEMPLATES).forEach(([name, template]) => {
+      // ピンチ中に握りや指さしと誤認しないようにする
+      if (best && best.name === 'pinch') return;
+      
+      let total = 0;
+      let count = 0;
+      template.forEach((expected, i) => {
+        if (expected === null) return;
+        total += expected ? extension[i] : 1 - extension[i];
+        count++;
+      });
+      
+      let confidence = total / count;
+      
+      // サムズアップは親指が上を向いていることも条件にする
+      if (name === 'thumbsUp') {
+        const upward = (joints[4].y - joints[2].y) / scale;
+        confidence *= MathUtils.smoothstep(0.2, 0.6, upward);
+      }
+      
+      if (confidence >= this.options.minConfidence && (!best || confidence > best.confidence)) {
+        best = { name, confidence };
+      }
+    });
+    
+    return best;
+  }
+
+  /**
+   * 各指の伸び具合を0～1のスコアで計算
+   * @param {Array} joints 21点の関節
+   * @param {number} scale 手の大きさ
+   * @returns {number[]} 指ごとのスコア
+   */
+  getFingerExtensionScores(joints, scale) {
+    const wrist = joints[HandLandmarks.WRIST];
+    
+    return HandLandmarks.FINGERS.map((finger, i) => {
+      const tip = joints[finger[3]];
+      
+      if (i === 0) {
+        // 親指は人差し指の付け根からの距離で判定
+        const distance = MathUtils.distance3D(tip, joints[5]) / scale;
+        return MathUtils.smoothstep(0.35, 0.7, distance);
+      }
+      
+      // 手首からの距離が第2関節より十分遠ければ伸びていると判定
+      const ratio = MathUtils.distance3D(tip, wrist) / MathUtils.distance3D(joints[finger[1]], wrist);
+      return MathUtils.smoothstep(0.9, 1.3, ratio);
+    });
+  }
+
+  /**
+   * ジェスチャーのアンカー位置を取得
+   * @param {Object} hand 手のデータ
+   * @param {string} name ジェスチャー名
+   * @returns {Object} アンカー位置 { x, y, z }
+   */
+  getAnchor(hand, name) {
+    const joints = hand.joints;
+    
+    switch (name) {
+      case 'pinch':
+        return {
+          x: (joints[4].x + joints[8].x) / 2,
+          y: (joints[4].y + joints[8].y) / 2,
+          z: (joints[4].z + joints[8].z) / 2
+        };
+      case 'point':
+        return { x: joints[8].x, y: joints[8].y, z: joints[8].z };
+      case 'thumbsUp':
+        return { x: joints[4].x, y: joints[4].y, z: joints[4].z };
+      default:
+        return { ...hand.palm };
+    }
+  }
+
+  /**
+   * 現在アクティブなジェスチャーを取得
+   * @param {number} handId 手のID
+   * @returns {Object|null} ジェスチャー情報
+   */
+  getActiveGesture(handId) {
+    return this.activeGestures.get(handId) || null;
+  }
+}
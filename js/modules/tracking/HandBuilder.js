@@ -0,0 +1,93 @@
+/**
+ * HandBuilder.js
+ * 正規化されたランドマーク（MediaPipe形式）からhandTracker:updateで送る手のデータを組み立てる
+ * カメラ以外の入力ソースも同じ形のデータを生成できるように共通化している
+ */
+
+import { HandLandmarks } from './HandLandmarks.js';
+import { HandPose } from './HandPose.js';
+import { HandShape } from './HandShape.js';
+
+export const HandBuilder = {
+  /**
+   * 正規化座標をシーン座標に変換
+   * @param {Object} landmark 正規化されたランドマーク { x, y, z }（0～1の範囲）
+   * @param {CoordinateMapper|null} mapper 座標変換サービス（ない場合は固定スケールで変換）
+   * @return {Object} シーン座標 { x, y, z }
+   */
+  toScene: (landmark, mapper = null) => {
+    if (mapper) return mapper.landmarkToScene(landmark);
+    
+    // 座標を正規化（MediaPipeは0-1の範囲、鏡像にして-50～50くらいの範囲に、y軸は上向き）
+    return {
+      x: (0.5 - landmark.x) * 100,
+      y: (0.5 - landmark.y) * 100,
+      z: -landmark.z * 100
+    };
+  },
+
+  /**
+   * 21点のランドマークから手のデータを作成
+   * @param {Array} landmarks 21点の正規化ランドマーク
+   * @param {number} handIndex 手のインデックス
+   * @param {string} handedness 左右の判定（'Left'または'Right'）
+   * @param {Array|null} worldLandmarks 21点のワールドランドマーク（メートル、ない場合は推定）
+   * @param {CoordinateMapper|null} mapper 座標変換サービス
+   * @return {Object} 手のデータ
+   */
+  fromLandmarks: (landmarks, handIndex, handedness, worldLandmarks = null, mapper = null) => {
+    // 指先のインデックス（MediaPipeの指標に基づく）
+    const fingerTips = HandLandmarks.FINGER_TIPS; // 親指、人差し指、中指、薬指、小指の指先
+    
+    // 指先の位置を抽出
+    const tips = fingerTips.map(index => HandBuilder.toScene(landmarks[index], mapper));
+    
+    // 手首の位置（座標変換）
+    const wrist = HandBuilder.toScene(landmarks[HandLandmarks.WRIST], mapper);
+    
+    // 手のひらの中心を計算（5つの関節点の平均）
+    const palmPoints = HandLandmarks.PALM_POINTS; // 手首と第1関節
+    const palm = { x: 0, y: 0, z: 0 };
+    palmPoints.forEach(i => {
+      const point = HandBuilder.toScene(landmarks[i], mapper);
+      palm.x += point.x / palmPoints.length;
+      palm.y += point.y / palmPoints.length;
+      palm.z += point.z / palmPoints.length;
+    });
+    
+    // 全ての関節点をフォーマット
+    const joints = landmarks.map((landmark, index) => ({
+      ...HandBuilder.toScene(landmark, mapper),
+      index: index
+    }));
+    
+    // メートル単位の3次元姿勢（手のひら中心が原点、シーン座標と同じく座標変換サービスの設定で鏡像にする）
+    const mirror = mapper ? mapper.options.mirror : true;
+    const worldJoints = worldLandmarks
+      ? HandPose.fromWorldLandmarks(worldLandmarks, mirror)
+      : HandPose.estimateFromLandmarks(landmarks, mirror);
+    const { palmNormal, palmDirection, orientation } = HandPose.compute(worldJoints, handedness, mirror);
+    
+    // 指の曲がり具合とピンチの強さ（3次元の関節角度から計算するので手の奥行きや大きさに依存しない）
+    const fingerCurl = HandShape.getFingerCurls(worldJoints);
+    const pinchStrength = HandShape.getPinchStrengths(worldJoints);
+    const fingerExtension = fingerCurl.map(curl => curl < 0.5);
+    
+    return {
+      handIndex,
+      tips,
+      wrist,
+      palm,
+      fingerExtension,
+      fingerCurl,
+      pinchStrength,
+      joints,
+      worldJoints,
+      worldJointsEstimated: !worldLandmarks,
+      palmNormal,
+      palmDirection,
+      orientation,
+      handedness
+    };
+  }
+};
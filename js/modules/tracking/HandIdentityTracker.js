@@ -0,0 +1,179 @@
+/**
+ * HandIdentityTracker.js
+ * フレーム間で手を対応付けて永続的なIDを割り当てるモジュール
+ * 最近傍マッチングで手を追跡し、左右判定のちらつきはヒステリシスで抑える
+ */
+
+import { Config } from '../../config.js';
+import { MathUtils } from '../../utils/MathUtils.js';
+
+// 入力ソースをまたいでIDが重複しないようにモジュール全体で採番する
+let nextHandId = 0;
+
+export class HandIdentityTracker {
+  /**
+   * コンストラクタ
+   * @param {Object} options 設定オプション
+   * @param {EventEmitter} eventEmitter イベントエミッタ
+   */
+  constructor(options = {}, eventEmitter) {
+    this.options = { ...Config.handTracking, ...options };
+    this.eventEmitter = eventEmitter;
+    
+    // 追跡中の手（ID → { id, palm, handedness, pendingHandedness, pendingFrames, lastSeen }）
+    this.tracks = new Map();
+    
+    // 猶予期間切れの確認用タイマー
+    this.expiryTimer = null;
+  }
+
+  /**
+   * 手にIDを割り当てる（hand.idとhand.handednessを更新）
+   * @param {Array} hands 現在のフレームの手のデータ
+   * @param {number} timestamp タイムスタンプ（ミリ秒）
+   */
+  assign(hands, timestamp) {
+    // 追跡中の手と検出された手の全組み合わせの距離を計算
+    const pairs = [];
+    this.tracks.forEach(track => {
+      hands.forEach((hand, handIndex) => {
+        let distance = MathUtils.distance3D(track.palm, hand.palm);
+        
+        // 左右が異なる場合は少し不利にする（ちらつきがあるため除外はしない）
+        if (hand.handedness !== track.handedness) {
+          distance += this.options.identityMaxDistance * 0.25;
+        }
+        
+        if (distance <= this.options.identityMaxDistance) {
+          pairs.push({ track, handIndex, distance });
+        }
+      });
+    });
+    
+    // 近い順に貪欲に対応付け
+    pairs.sort((a, b) => a.distance - b.distance);
+    
+    const matchedTracks = new Set();
+    const matchedHands = new Set();
+    pairs.forEach(({ track, handIndex }) => {
+      if (matchedTracks.has(track.id) || matchedHands.has(handIndex)) return;
+      
+      matchedTracks.add(track.id);
+      matchedHands.add(handIndex);
+      this.updateTrack(track, hands[handIndex], timestamp);
+    });
+    
+    // 対応付かなかった手は新しいIDで追跡を開始
+    hands.forEach((hand, handIndex) => {
+      if (matchedHands.has(handIndex)) return;
+      
+      const track = {
+        id: nextHandId++,
+        palm: { ...hand.palm },
+        handedness: hand.handedness,
+        pendingHandedness: null,
+        pendingFrames: 0,
+        lastSeen: timestamp
+      };
+      this.tracks.set(track.id, track);
+      
+      hand.id = track.id;
+      hand.rawHandedness = hand.handedness;
+      
+      this.eventEmitter.emit('handTracker:handEnter', {
+        id: track.id,
+        handedness: track.handedness,
+        position: { ...hand.palm }
+      });
+    });
+    
+    this.expire(timestamp);
+  }
+
+  /**
+   * 対応付いた手で追跡情報を更新
+   * @param {Object} track 追跡中の手
+   * @param {Object} hand 現在のフレームの手
+   * @param {number} timestamp タイムスタンプ（ミリ秒）
+   */
+  updateTrack(track, hand, timestamp) {
+    track.palm = { ...hand.palm };
+    track.lastSeen = timestamp;
+    
+    // 左右判定は一定フレーム連続で変化した場合のみ切り替える
+    if (hand.handedness === track.handedness) {
+      track.pendingHandedness = null;
+      track.pendingFrames = 0;
+    } else if (hand.handedness === track.pendingHandedness) {
+      track.pendingFrames++;
+      if (track.pendingFrames >= this.options.handednessHysteresis) {
+        track.handedness = hand.handedness;
+        track.pendingHandedness = null;
+        track.pendingFrames = 0;
+      }
+    } else {
+      track.pendingHandedness = hand.handedness;
+      track.pendingFrames = 1;
+    }
+    
+    hand.id = track.id;
+    hand.rawHandedness = hand.handedness;
+    hand.handedness = track.handedness;
+  }
+
+  /**
+   * 猶予期間を過ぎた手のIDを破棄
+   * @param {number} timestamp 現在のタイムスタンプ（ミリ秒）
+   */
+  expire(timestamp) {
+    if (this.expiryTimer) {
+      clearTimeout(this.expiryTimer);
+      this.expiryTimer = null;
+    }
+    
+    let nextExpiry = Infinity;
+    for (const track of [...this.tracks.values()]) {
+      const age = timestamp - track.lastSeen;
+      if (age >= this.options.identityGracePeriod) {
+        this.retire(track);
+      } else if (age > 0) {
+        nextExpiry = Math.min(nextExpiry, this.options.identityGracePeriod - age);
+      }
+    }
+    
+    // 新しいフレームが来なくても猶予期間後にIDを破棄する
+    if (nextExpiry !== Infinity) {
+      this.expiryTimer = setTimeout(() => {
+        this.expiryTimer = null;
+        this.expire(performance.now());
+      }, nextExpiry);
+    }
+  }
+
+  /**
+   * 手の追跡を終了
+   * @param {Object} track 追跡中の手
+   */
+  retire(track) {
+    this.tracks.delete(track.id);
+    this.eventEmitter.emit('handTracker:handLeave', {
+      id: track.id,
+      handedness: track.handedness,
+      position: { ...track.palm }
+    });
+  }
+
+  /**
+   * すべての手の追跡を終了
+   */
+  reset() {
+    if (this.expiryTimer) {
+      clearTimeout(this.expiryTimer);
+      this.expiryTimer = null;
+    }
+    
+    for (const track of [...this.tracks.values()]) {
+      this.retire(track);
+    }
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * HandKinematics.js
+ * 手の履歴から手のひらと指先の速度・加速度を計算するモジュール
+ * 速度はシーン座標の単位/秒、加速度は単位/秒^2で、実際のタイムスタンプに基づく
+ */
+
+import { Config } from '../../config.js';
+
+const ZERO = { x: 0, y: 0, z: 0 };
+
+export class HandKinematics {
+  /**
+   * コンストラクタ
+   * @param {Object} options 設定オプション
+   */
+  constructor(options = {}) {
+    this.options = { ...Config.handTracking, ...options };
+  }
+
+  /**
+   * 手のデータに速度と加速度を追加する
+   * @param {Array} hands 現在のフレームの手のデータ
+   * @param {Array} history 過去のフレーム（{ timestamp, hands }の配列、古い順）
+   * @param {number} timestamp 現在のフレームのタイムスタンプ（ミリ秒）
+   */
+  apply(hands, history, timestamp) {
+    hands.forEach(hand => {
+      const reference = this.findReference(hand, history, timestamp);
+      
+      if (!reference) {
+        // 初めて検出された手は静止しているとみなす
+        hand.velocity = { ...ZERO };
+        hand.acceleration = { ...ZERO };
+        hand.speed = 0;
+        hand.tipVelocities = hand.tips.map(() => ({ ...ZERO }));
+        hand.tipAccelerations = hand.tips.map(() => ({ ...ZERO }));
+        return;
+      }
+      
+      const { hand: previous, dt } = reference;
+      
+      hand.velocity = this.derivative(hand.palm, previous.palm, dt);
+      hand.acceleration = this.derivative(hand.velocity, previous.velocity || ZERO, dt);
+      hand.speed = Math.sqrt(
+        hand.velocity.x * hand.velocity.x +
+        hand.velocity.y * hand.velocity.y +
+        hand.velocity.z * hand.velocity.z
+      );
+      
+      hand.tipVelocities = hand.tips.map((tip, i) =>
+        this.derivative(tip, previous.tips[i], dt)
+      );
+      hand.tipAccelerations = hand.tipVelocities.map((velocity, i) =>
+        this.derivative(velocity, previous.tipVelocities ? previous.tipVelocities[i] : ZERO, dt)
+      );
+    });
+  }
+
+  /**
+   * 速度計算の基準にする過去の手を探す
+   * ノイズを抑えるため、velocityWindowの範囲内で最も古いフレームを使う
+   * @param {Object} hand 現在の手
+   * @param {Array} history 過去のフレーム
+   * @param {number} timestamp 現在のタイムスタンプ（ミリ秒）
+   * @returns {Object|null} { hand, dt }（見つからない場合はnull）
+   */
+  findReference(hand, history, timestamp) {
+    let reference = null;
+    
+    for (let i = history.length - 1; i >= 0; i--) {
+      const frame = history[i];
+      const age = timestamp - frame.timestamp;
+      if (age <= 0) continue;
+      
+      // 途切れていた場合はそれ以前の履歴を使わない
+      if (age > this.options.velocityMaxGap && !reference) break;
+      
+      // ウィンドウを超えた場合は直前に見つけたものを使う（最低1フレームは使う）
+      if (age > this.options.velocityWindow && reference) break;
+      
+      const previous = frame.hands.find(h => h.id === hand.id);
+      if (!previous) break;
+      
+      reference = { hand: previous, dt: age / 1000 };
+    }
+    
+    return reference;
+  }
+
+  /**
+   * 2点間の変化率を計算
+   * @param {Object} current 現在の値 { x, y, z }
+   * @param {Object} previous 以前の値 { x, y, z }
+   * @param {number} dt 経過時間（秒）
+   * @returns {Object} 変化率 { x, y, z }
+   */
+  derivative(current, previous, dt) {
+    return {
+      x: (current.x - previous.x) / dt,
+      y: (current.y - previous.y) / dt,
+      z: (current.z - previous.z) / dt
+    };
+  }
+}
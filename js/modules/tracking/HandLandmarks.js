@@ -0,0 +1,37 @@
+/**
+ * HandLandmarks.js
+ * MediaPipe Handsの21点ランドマークに関する定数
+ */
+
+export const HandLandmarks = {
+  // 手首
+  WRIST: 0,
+  
+  // 指先のインデックス（親指、人差し指、中指、薬指、小指）
+  FINGER_TIPS: [4, 8, 12, 16, 20],
+  
+  // 各指の関節インデックス（付け根から指先の順）
+  FINGERS: [
+    [1, 2, 3, 4],      // 親指
+    [5, 6, 7, 8],      // 人差し指
+    [9, 10, 11, 12],   // 中指
+    [13, 14, 15, 16],  // 薬指
+    [17, 18, 19, 20]   // 小指
+  ],
+  
+  // 手のひらの中心計算に使う点（手首と各指の付け根）
+  PALM_POINTS: [0, 1, 5, 9, 13, 17],
+  
+  // 手の骨格を構成する接続
+  CONNECTIONS: [
+    [0, 1], [1, 2], [2, 3], [3, 4],           // 親指
+    [0, 5], [5, 6], [6, 7], [7, 8],           // 人差し指
+    [0, 9], [9, 10], [10, 11], [11, 12],      // 中指
+    [0, 13], [13, 14], [14, 15], [15, 16],    // 薬指
+    [0, 17], [17, 18], [18, 19], [19, 20],    // 小指
+    [5, 9], [9, 13], [13, 17]                 // 手のひら
+  ],
+  
+  // 指の名前（インデックス順）
+  FINGER_NAMES: ['thumb', 'index', 'middle', 'ring', 'pinky']
+};
@@ -0,0 +1,136 @@
+/**
+ * HandPose.js
+ * 手の3次元姿勢（メートル単位の関節座標、手のひらの法線、向きのクォータニオン）を計算する
+ * 座標軸はThree.jsのシーンに合わせる（x: 画面右、y: 上、z: 画面手前、映像を鏡像表示する場合は鏡像）
+ */
+
+import { HandLandmarks } from './HandLandmarks.js';
+
+// ワールド座標がない場合に推定に使う手首から中指の付け根までの長さ（メートル）
+const TYPICAL_PALM_LENGTH = 0.09;
+
+export const HandPose = {
+  /**
+   * MediaPipeのワールドランドマーク（メートル、x: 右、y: 下、z: 奥）をシーンの軸に変換
+   * @param {Array} worldLandmarks ワールドランドマーク
+   * @param {boolean} [mirror=true] 鏡像にする（座標変換サービスのmirrorと合わせる）
+   * @return {Array} シーンの軸に合わせた関節座標（メートル）
+   */
+  fromWorldLandmarks: (worldLandmarks, mirror = true) => worldLandmarks.map((landmark, index) => ({
+    x: mirror ? -landmark.x : landmark.x,
+    y: -landmark.y,
+    z: -landmark.z,
+    index
+  })),
+
+  /**
+   * 正規化ランドマークからメートル単位の関節座標を推定（ワールド座標がない入力ソース用）
+   * @param {Array} landmarks 正規化ランドマーク
+   * @param {boolean} [mirror=true] 鏡像にする（座標変換サービスのmirrorと合わせる）
+   * @return {Array} シーンの軸に合わせた推定関節座標（メートル、手のひら中心が原点）
+   */
+  estimateFromLandmarks: (landmarks, mirror = true) => {
+    const wrist = landmarks[HandLandmarks.WRIST];
+    const middleBase = landmarks[9];
+    const length = Math.sqrt(
+      (middleBase.x - wrist.x) ** 2 +
+      (middleBase.y - wrist.y) ** 2 +
+      (middleBase.z - wrist.z) ** 2
+    );
+    const scale = length > 0 ? TYPICAL_PALM_LENGTH / length : 0;
+    
+    // 手のひら中心を原点にする（MediaPipeのワールド座標と同じ）
+    const palmPoints = HandLandmarks.PALM_POINTS;
+    const center = { x: 0, y: 0, z: 0 };
+    palmPoints.forEach(i => {
+      center.x += landmarks[i].x / palmPoints.length;
+      center.y += landmarks[i].y / palmPoints.length;
+      center.z += landmarks[i].z / palmPoints.length;
+    });
+    
+    return landmarks.map((landmark, index) => ({
+      x: (mirror ? -1 : 1) * (landmark.x - center.x) * scale,
+      y: -(landmark.y - center.y) * scale,
+      z: -(landmark.z - center.z) * scale,
+      index
+    }));
+  },
+
+  /**
+   * 関節座標から手のひらの法線と向きを計算
+   * @param {Array} joints シーンの軸に合わせた21点の関節座標
+   * @param {string} handedness MediaPipeの左右ラベル
+   * @param {boolean} [mirror=true] 関節座標が鏡像かどうか
+   * @return {Object} { palmNormal, palmDirection, orientation }
+   */
+  compute: (joints, handedness, mirror = true) => {
+    const wrist = joints[HandLandmarks.WRIST];
+    const toIndex = HandPose.subtract(joints[5], wrist);
+    const toPinky = HandPose.subtract(joints[17], wrist);
+    
+    // MediaPipeの左右ラベルは鏡像入力を前提にしているため、反転していない映像では
+    // 'Left'が利用者の右手になる。手のひら側を向くように外積の順序を入れ替える
+    // 鏡像にしない場合は関節座標の左右が逆になるので、入れ替えも逆にする
+    let palmNormal = (handedness === 'Left') === mirror
+      ? HandPose.cross(toPinky, toIndex)
+      : HandPose.cross(toIndex, toPinky);
+    palmNormal = HandPose.normalize(palmNormal);
+    
+    // 手首から中指の付け根への方向（指の向き）
+    const palmDirection = HandPose.normalize(HandPose.subtract(joints[9], wrist));
+    
+    // 指の向きをY軸、手のひらの法線をZ軸とする正規直交基底を作る
+    const yAxis = palmDirection;
+    const dot = palmNormal.x * yAxis.x + palmNormal.y * yAxis.y + palmNormal.z * yAxis.z;
+    const zAxis = HandPose.normalize({
+      x: palmNormal.x - yAxis.x * dot,
+      y: palmNormal.y - yAxis.y * dot,
+      z: palmNormal.z - yAxis.z * dot
+    });
+    const xAxis = HandPose.cross(yAxis, zAxis);
+    
+    const matrix = new THREE.Matrix4().makeBasis(
+      new THREE.Vector3(xAxis.x, xAxis.y, xAxis.z),
+      new THREE.Vector3(yAxis.x, yAxis.y, yAxis.z),
+      new THREE.Vector3(zAxis.x, zAxis.y, zAxis.z)
+    );
+    const quaternion = new THREE.Quaternion().setFromRotationMatrix(matrix);
+    
+    return {
+      palmNormal,
+      palmDirection,
+      orientation: { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w }
+    };
+  },
+
+  /**
+   * ベクトルの差
+   * @param {Object} a ベクトル { x, y, z }
+   * @param {Object} b ベクトル { x, y, z }
+   * @return {Object} a - b
+   */
+  subtract: (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z }),
+
+  /**
+   * ベクトルの外積
+   * @param {Object} a ベクトル { x, y, z }
+   * @param {Object} b ベクトル { x, y, z }
+   * @return {Object} a × b
+   */
+  cross: (a, b) => ({
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x
+  }),
+
+  /**
+   * ベクトルの正規化
+   * @param {Object} v ベクトル { x, y, z }
+   * @return {Object} 単位ベクトル（長さ0の場合はゼロベクトル）
+   */
+  normalize: (v) => {
+    const length = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+    if (length === 0) return { x: 0, y: 0, z: 0 };
+    return { x: v.x / length, y: v.y / length, z: v.z / length };
+  }
+};
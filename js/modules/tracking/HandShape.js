@@ -0,0 +1,67 @@
+/**
+ * HandShape.js
+ * 関節の角度から指の曲がり具合（0～1）を、指先同士の距離からピンチの強さ（0～1）を計算する
+ * 角度と手の大きさに対する比率だけを使うため、カメラからの距離や手の大きさに依存しない
+ */
+
+import { MathUtils } from '../../utils/MathUtils.js';
+import { HandLandmarks } from './HandLandmarks.js';
+import { HandPose } from './HandPose.js';
+
+// 完全に曲げた時の関節の曲がり角の合計（ラジアン、親指とそれ以外）
+const MAX_THUMB_BEND = MathUtils.toRadians(120);
+const MAX_FINGER_BEND = MathUtils.toRadians(250);
+
+// ピンチの強さが1と0になる親指の先端との距離（手首から中指の付け根までの長さに対する比率）
+const PINCH_CLOSED = 0.2;
+const PINCH_OPEN = 0.6;
+
+export const HandShape = {
+  /**
+   * 各指の曲がり具合を計算
+   * @param {Array} joints 21点の関節座標（3次元）
+   * @return {number[]} 指ごとの曲がり具合（0: 伸びている～1: 曲がっている、親指から小指の順）
+   */
+  getFingerCurls: (joints) => HandLandmarks.FINGERS.map((finger, i) => {
+    // 付け根の手前の骨（親指以外は手首から付け根）も含めて、各関節での曲がり角を合計する
+    const chain = i === 0 ? finger : [HandLandmarks.WRIST, ...finger];
+    let bend = 0;
+    for (let j = 1; j < chain.length - 1; j++) {
+      bend += HandShape.angleBetween(
+        HandPose.subtract(joints[chain[j]], joints[chain[j - 1]]),
+        HandPose.subtract(joints[chain[j + 1]], joints[chain[j]])
+      );
+    }
+    
+    return MathUtils.clamp(bend / (i === 0 ? MAX_THUMB_BEND : MAX_FINGER_BEND), 0, 1);
+  }),
+
+  /**
+   * 親指と各指のピンチの強さを計算
+   * @param {Array} joints 21点の関節座標（3次元）
+   * @return {number[]} ピンチの強さ（0～1、人差し指から小指の順）
+   */
+  getPinchStrengths: (joints) => {
+    const scale = MathUtils.distance3D(joints[HandLandmarks.WRIST], joints[9]);
+    const thumbTip = joints[HandLandmarks.FINGER_TIPS[0]];
+    
+    return HandLandmarks.FINGER_TIPS.slice(1).map(tipIndex => {
+      if (scale === 0) return 0;
+      const ratio = MathUtils.distance3D(thumbTip, joints[tipIndex]) / scale;
+      return 1 - MathUtils.smoothstep(PINCH_CLOSED, PINCH_OPEN, ratio);
+    });
+  },
+
+  /**
+   * 2つのベクトルのなす角
+   * @param {Object} a ベクトル { x, y, z }
+   * @param {Object} b ベクトル { x, y, z }
+   * @return {number} 角度（ラジアン、0～π）
+   */
+  angleBetween: (a, b) => {
+    const na = HandPose.normalize(a);
+    const nb = HandPose.normalize(b);
+    const dot = na.x * nb.x + na.y * nb.y + na.z * nb.z;
+    return Math.acos(MathUtils.clamp(dot, -1, 1));
+  }
+};
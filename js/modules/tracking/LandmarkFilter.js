@@ -0,0 +1,169 @@
+/**
+ * LandmarkFilter.js
+ * One Euroフィルタによるランドマークの時間方向の平滑化
+ * 静止時はジッターを強く抑え、速く動いている時は遅延を小さくする
+ * 参考: Casiez et al., "1€ Filter" (CHI 2012)
+ */
+
+import { Config } from '../../config.js';
+
+/**
+ * スカラー値用のOne Euroフィルタ
+ */
+export class OneEuroFilter {
+  /**
+   * コンストラクタ
+   * @param {number} minCutoff 最小カットオフ周波数（Hz）
+   * @param {number} beta 速度に応じたカットオフの増加係数
+   * @param {number} derivativeCutoff 速度推定のカットオフ周波数（Hz）
+   */
+  constructor(minCutoff, beta, derivativeCutoff) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.derivativeCutoff = derivativeCutoff;
+    this.reset();
+  }
+
+  /**
+   * 内部状態をリセット
+   */
+  reset() {
+    this.prevValue = null;
+    this.prevDerivative = 0;
+    this.prevTime = null;
+  }
+
+  /**
+   * カットオフ周波数と経過時間から平滑化係数を計算
+   * @param {number} cutoff カットオフ周波数（Hz）
+   * @param {number} dt 経過時間（秒）
+   * @returns {number} 平滑化係数（0～1）
+   */
+  alpha(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+  }
+
+  /**
+   * 値をフィルタリング
+   * @param {number} value 入力値
+   * @param {number} timestamp タイムスタンプ（ミリ秒）
+   * @returns {number} 平滑化された値
+   */
+  filter(value, timestamp) {
+    // 初回はそのまま返す
+    if (this.prevValue === null) {
+      this.prevValue = value;
+      this.prevTime = timestamp;
+      return value;
+    }
+    
+    const dt = (timestamp - this.prevTime) / 1000;
+    if (dt <= 0) return this.prevValue;
+    
+    // 速度を推定して平滑化
+    const derivative = (value - this.prevValue) / dt;
+    const a = this.alpha(this.derivativeCutoff, dt);
+    const smoothedDerivative = this.prevDerivative + a * (derivative - this.prevDerivative);
+    
+    // 速いほどカットオフを上げて追従性を高める
+    const cutoff = this.minCutoff + this.beta * Math.abs(smoothedDerivative);
+    const filtered = this.prevValue + this.alpha(cutoff, dt) * (value - this.prevValue);
+    
+    this.prevValue = filtered;
+    this.prevDerivative = smoothedDerivative;
+    this.prevTime = timestamp;
+    return filtered;
+  }
+}
+
+/**
+ * 手ごとの21点ランドマークを平滑化するフィルタ
+ */
+export class LandmarkFilter {
+  /**
+   * コンストラクタ
+   * @param {Object} options 設定オプション
+   */
+  constructor(options = {}) {
+    this.options = { ...Config.handTracking, ...options };
+    
+    // 手のキー → ランドマークごとの { x, y, z } フィルタ
+    this.filters = new Map();
+  }
+
+  /**
+   * フィルタのパラメータを更新
+   * @param {Object} params { smoothingMinCutoff, smoothingBeta, smoothingDerivativeCutoff }
+   */
+  setParameters(params) {
+    this.options = { ...this.options, ...params };
+    
+    this.filters.forEach(handFilters => {
+      handFilters.forEach(axes => {
+        Object.values(axes).forEach(filter => {
+          filter.minCutoff = this.options.smoothingMinCutoff;
+          filter.beta = this.options.smoothingBeta;
+          filter.derivativeCutoff = this.options.smoothingDerivativeCutoff;
+        });
+      });
+    });
+  }
+
+  /**
+   * ランドマークを平滑化
+   * @param {string|number} handKey 手を識別するキー
+   * @param {Array} landmarks 正規化ランドマーク
+   * @param {number} timestamp タイムスタンプ（ミリ秒）
+   * @returns {Array} 平滑化されたランドマーク
+   */
+  apply(handKey, landmarks, timestamp) {
+    if (!this.filters.has(handKey)) {
+      this.filters.set(handKey, landmarks.map(() => ({
+        x: this.createFilter(),
+        y: this.createFilter(),
+        z: this.createFilter()
+      })));
+    }
+    
+    const handFilters = this.filters.get(handKey);
+    
+    return landmarks.map((landmark, i) => ({
+      ...landmark,
+      x: handFilters[i].x.filter(landmark.x, timestamp),
+      y: handFilters[i].y.filter(landmark.y, timestamp),
+      z: handFilters[i].z.filter(landmark.z, timestamp)
+    }));
+  }
+
+  /**
+   * 検出されなくなった手のフィルタを破棄
+   * @param {Array} activeKeys 現在検出されている手のキー
+   */
+  prune(activeKeys) {
+    for (const key of [...this.filters.keys()]) {
+      if (!activeKeys.includes(key)) {
+        this.filters.delete(key);
+      }
+    }
+  }
+
+  /**
+   * すべてのフィルタを破棄
+   */
+  reset() {
+    this.filters.clear();
+  }
+
+  /**
+   * 現在のパラメータでフィルタを作成
+   * @returns {OneEuroFilter} フィルタ
+   */
+  createFilter() {
+    return new OneEuroFilter(
+      this.options.smoothingMinCutoff,
+      this.options.smoothingBeta,
+      this.options.smoothingDerivativeCutoff
+    );
+  }
+}
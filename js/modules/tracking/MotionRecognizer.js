@@ -0,0 +1,399 @@
+/**
+ * MotionRecognizer.js
+ * 手の軌跡から動的なジェスチャー（スワイプ、円、手を振る、エアタップ）を認識するモジュール
+ * handTracker:updateのタイムスタンプ付き履歴を使い、フレームレートに依存しない判定を行う
+ */
+
+import { Config } from '../../config.js';
+
+export class MotionRecognizer {
+  /**
+   * コンストラクタ
+   * @param {Object} options 設定オプション
+   * @param {EventEmitter} eventEmitter イベントエミッタ
+   */
+  constructor(options = {}, eventEmitter) {
+    this.options = { ...Config.motionGestures, ...options };
+    this.eventEmitter = eventEmitter;
+    
+    // 手ごとの状態（ID → { lastDetection, pendingSwipe }）
+    this.states = new Map();
+  }
+
+  /**
+   * 手のデータから動的ジェスチャーを判定（handTracker:updateの受信時に呼び出す）
+   * @param {Object} handData 手の位置データ（history、timestampを含む）
+   */
+  update(handData) {
+    if (!this.options.enabled) return;
+    
+    const seenIds = new Set();
+    
+    handData.hands.forEach(hand => {
+      seenIds.add(hand.id);
+      
+      if (!this.states.has(hand.id)) {
+        this.states.set(hand.id, { lastDetection: -Infinity, pendingSwipe: null });
+      }
+      const state = this.states.get(hand.id);
+      
+      // 直前の検出以降の軌跡だけを使う（同じ動きを二重に検出しない）
+      const trajectory = this.getTrajectory(hand, handData.history, state.lastDetection);
+      this.recognize(hand, trajectory, state, handData.timestamp);
+    });
+    
+    // 見えなくなった手の状態を破棄
+    for (const handId of [...this.states.keys()]) {
+      if (!seenIds.has(handId)) {
+        this.states.delete(handId);
+      }
+    }
+  }
+
+  /**
+   * すべての状態をリセット（手が検出されなくなった時など）
+   */
+  reset() {
+    this.states.clear();
+  }
+
+  /**
+   * 履歴から1つの手の軌跡を取り出す
+   * @param {Object} hand 現在の手
+   * @param {Array} history 過去のフレーム（{ timestamp, hands }の配列、古い順、現在のフレームを含む）
+   * @param {number} since この時刻より後のサンプルのみ使う（ミリ秒）
+   * @returns {Array} サンプルの配列 [{ t, palm, tap }]（古い順）
+   */
+  getTrajectory(hand, history, since) {
+    const trajectory = [];
+    
+    for (let i = history.length - 1; i >= 0; i--) {
+      const frame = history[i];
+      if (frame.timestamp <= since) break;
+      
+      const sample = frame.hands.find(h => h.id === hand.id);
+      if (!sample) break;
+      
+      trajectory.unshift({
+        t: frame.timestamp,
+        palm: sample.palm,
+        // 人差し指の先端の手首に対する奥行き（手前に押し出すと大きくなる）
+        tap: sample.tips[1].z - sample.wrist.z,
+        tip: sample.tips[1]
+      });
+    }
+    
+    return trajectory;
+  }
+
+  /**
+   * 軌跡を解析してジェスチャーを判定
+   * @param {Object} hand 現在の手
+   * @param {Array} trajectory 軌跡
+   * @param {Object} state 手ごとの状態
+   * @param {number} now 現在のタイムスタンプ（ミリ秒）
+   */
+  recognize(hand, trajectory, state, now) {
+    if (now - state.lastDetection < this.options.cooldown) return;
+    
+    // 保留中のスワイプは手が止まるまで延長し、折り返さなければ確定（手を振る動きと区別する）
+    if (state.pendingSwipe && trajectory.length > 0) {
+      const swipe = state.pendingSwipe;
+      const last = trajectory[trajectory.length - 1];
+      const progress = (last.palm.x - swipe.origin.x) * swipe.vector.x +
+        (last.palm.y - swipe.origin.y) * swipe.vector.y;
+      
+      if (progress < -this.options.waveMinAmplitude) {
+        state.pendingSwipe = null;
+      } else if (progress > this.options.swipeMinDistance * 0.05) {
+        this.extendSwipe(swipe, last, progress);
+      } else if (now - swipe.endTime >= this.options.swipeSettleTime) {
+        state.pendingSwipe = null;
+        this.emit(hand, state, swipe.event, now);
+        return;
+      }
+    }
+    
+    if (trajectory.length < 3) return;
+    
+    const detected = this.detectAirTap(trajectory) ||
+      this.detectCircle(trajectory) ||
+      this.detectWave(trajectory);
+    
+    if (detected) {
+      state.pendingSwipe = null;
+      this.emit(hand, state, detected, now);
+      return;
+    }
+    
+    if (!state.pendingSwipe) {
+      const swipe = this.detectSwipe(trajectory);
+      if (swipe) {
+        state.pendingSwipe = swipe;
+      }
+    }
+  }
+
+  /**
+   * ジェスチャーのイベントを発行
+   * @param {Object} hand 手のデータ
+   * @param {Object} state 手ごとの状態
+   * @param {Object} event イベントの内容 { gesture, direction, speed, extent, position, duration }
+   * @param {number} now 現在のタイムスタンプ（ミリ秒）
+   */
+  emit(hand, state, event, now) {
+    state.lastDetection = now;
+    
+    this.eventEmitter.emit('handTracker:motionGesture', {
+      ...event,
+      handId: hand.id,
+      handedness: hand.handedness
+    });
+  }
+
+  /**
+   * 直近の一定時間のサンプルを取得
+   * @param {Array} trajectory 軌跡
+   * @param {number} duration 時間幅（ミリ秒）
+   * @returns {Array} サンプルの配列
+   */
+  getRecent(trajectory, duration) {
+    const end = trajectory[trajectory.length - 1].t;
+    return trajectory.filter(sample => end - sample.t <= duration);
+  }
+
+  /**
+   * 軌跡の経路長を計算（手のひらの位置、XY平面）
+   * @param {Array} samples サンプルの配列
+   * @returns {number} 経路長
+   */
+  getPathLength(samples) {
+    let length = 0;
+    for (let i = 1; i < samples.length; i++) {
+      length += Math.hypot(
+        samples[i].palm.x - samples[i - 1].palm.x,
+        samples[i].palm.y - samples[i - 1].palm.y
+      );
+    }
+    return length;
+  }
+
+  /**
+   * スワイプ（素早いまっすぐな動き）を判定
+   * @param {Array} trajectory 軌跡
+   * @returns {Object|null} 保留中のスワイプ { event, startTime, endTime, vector, origin }
+   */
+  detectSwipe(trajectory) {
+    const samples = this.getRecent(trajectory, this.options.swipeMaxDuration);
+    if (samples.length < 3) return null;
+    
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const dx = last.palm.x - first.palm.x;
+    const dy = last.palm.y - first.palm.y;
+    const distance = Math.hypot(dx, dy);
+    const duration = (last.t - first.t) / 1000;
+    if (duration <= 0 || distance < this.options.swipeMinDistance) return null;
+    
+    const speed = distance / duration;
+    const straightness = distance / this.getPathLength(samples);
+    if (speed < this.options.swipeMinSpeed || straightness < this.options.swipeStraightness) return null;
+    
+    // 主な移動方向（シーン座標はy軸が上向き）
+    const direction = Math.abs(dx) >= Math.abs(dy)
+      ? (dx > 0 ? 'right' : 'left')
+      : (dy > 0 ? 'up' : 'down');
+    
+    return {
+      startTime: first.t,
+      endTime: last.t,
+      vector: { x: dx / distance, y: dy / distance },
+      origin: { ...last.palm },
+      event: {
+        gesture: 'swipe',
+        direction,
+        speed,
+        extent: distance,
+        position: { ...last.palm },
+        duration: duration * 1000
+      }
+    };
+  }
+
+  /**
+   * 同じ向きに動き続けている保留中のスワイプを延長
+   * @param {Object} swipe 保留中のスワイプ
+   * @param {Object} sample 最新のサンプル
+   * @param {number} progress スワイプの向きに進んだ距離
+   */
+  extendSwipe(swipe, sample, progress) {
+    const event = swipe.event;
+    
+    swipe.origin = { ...sample.palm };
+    swipe.endTime = sample.t;
+    event.extent += progress;
+    event.position = { ...sample.palm };
+    event.duration = sample.t - swipe.startTime;
+    event.speed = event.duration > 0 ? event.extent / (event.duration / 1000) : event.speed;
+  }
+
+  /**
+   * 円を描く動きを判定
+   * @param {Array} trajectory 軌跡
+   * @returns {Object|null} イベントの内容
+   */
+  detectCircle(trajectory) {
+    const samples = this.getRecent(trajectory, this.options.circleMaxDuration);
+    if (samples.length < 8) return null;
+    
+    // 重心を中心とみなす
+    const center = { x: 0, y: 0, z: 0 };
+    samples.forEach(sample => {
+      center.x += sample.palm.x / samples.length;
+      center.y += sample.palm.y / samples.length;
+      center.z += sample.palm.z / samples.length;
+    });
+    
+    // 中心からの角度の変化を積算（反時計回りが正）
+    let totalAngle = 0;
+    let radiusSum = 0;
+    let previousAngle = null;
+    samples.forEach(sample => {
+      const rx = sample.palm.x - center.x;
+      const ry = sample.palm.y - center.y;
+      const angle = Math.atan2(ry, rx);
+      radiusSum += Math.hypot(rx, ry);
+      
+      if (previousAngle !== null) {
+        let delta = angle - previousAngle;
+        if (delta > Math.PI) delta -= Math.PI * 2;
+        if (delta < -Math.PI) delta += Math.PI * 2;
+        totalAngle += delta;
+      }
+      previousAngle = angle;
+    });
+    
+    const radius = radiusSum / samples.length;
+    if (radius < this.options.circleMinRadius) return null;
+    if (Math.abs(totalAngle) < Math.PI * 2 * this.options.circleMinTurn) return null;
+    
+    // 半径のばらつきが大きいものは円とみなさない
+    let variance = 0;
+    samples.forEach(sample => {
+      const r = Math.hypot(sample.palm.x - center.x, sample.palm.y - center.y);
+      variance += (r - radius) ** 2 / samples.length;
+    });
+    if (Math.sqrt(variance) / radius > 0.5) return null;
+    
+    const duration = (samples[samples.length - 1].t - samples[0].t) / 1000;
+    
+    return {
+      gesture: 'circle',
+      direction: totalAngle > 0 ? 'counterclockwise' : 'clockwise',
+      speed: duration > 0 ? this.getPathLength(samples) / duration : 0,
+      extent: radius,
+      position: center,
+      duration: duration * 1000
+    };
+  }
+
+  /**
+   * 手を左右に振る動きを判定
+   * @param {Array} trajectory 軌跡
+   * @returns {Object|null} イベントの内容
+   */
+  detectWave(trajectory) {
+    const samples = this.getRecent(trajectory, this.options.waveMaxDuration);
+    if (samples.length < 6) return null;
+    
+    // 一定以上の振れ幅で左右の向きが変わった回数を数える
+    const amplitude = this.options.waveMinAmplitude;
+    let reversals = 0;
+    let direction = 0;
+    let extremum = samples[0].palm.x;
+    let minX = extremum;
+    let maxX = extremum;
+    let minY = samples[0].palm.y;
+    let maxY = minY;
+    
+    samples.forEach(sample => {
+      const x = sample.palm.x;
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+      minY = Math.min(minY, sample.palm.y);
+      maxY = Math.max(maxY, sample.palm.y);
+      
+      if (direction === 0) {
+        // 最初の向きが決まるまで待つ
+        const delta = x - samples[0].palm.x;
+        if (Math.abs(delta) >= amplitude) {
+          direction = Math.sign(delta);
+          extremum = x;
+        }
+      } else if ((x - extremum) * direction > 0) {
+        // 同じ向きに進んでいる間は端点を更新
+        extremum = x;
+      } else if ((extremum - x) * direction >= amplitude) {
+        reversals++;
+        direction = -direction;
+        extremum = x;
+      }
+    });
+    
+    const width = maxX - minX;
+    if (reversals < this.options.waveMinReversals || maxY - minY > width) return null;
+    
+    const duration = (samples[samples.length - 1].t - samples[0].t) / 1000;
+    const last = samples[samples.length - 1];
+    
+    return {
+      gesture: 'wave',
+      direction: 'horizontal',
+      speed: duration > 0 ? this.getPathLength(samples) / duration : 0,
+      extent: width,
+      position: { ...last.palm },
+      duration: duration * 1000,
+      count: reversals
+    };
+  }
+
+  /**
+   * 指先を前に突き出して戻すエアタップを判定
+   * @param {Array} trajectory 軌跡
+   * @returns {Object|null} イベントの内容
+   */
+  detectAirTap(trajectory) {
+    const samples = this.getRecent(trajectory, this.options.tapMaxDuration);
+    if (samples.length < 3) return null;
+    
+    // 最も手前に出たサンプル
+    let peakIndex = 0;
+    samples.forEach((sample, i) => {
+      if (sample.tap > samples[peakIndex].tap) peakIndex = i;
+    });
+    if (peakIndex === 0 || peakIndex === samples.length - 1) return null;
+    
+    const first = samples[0];
+    const peak = samples[peakIndex];
+    const last = samples[samples.length - 1];
+    const depth = peak.tap - first.tap;
+    
+    // 十分に前へ出てから半分以上戻っていること
+    if (depth < this.options.tapMinDepth || peak.tap - last.tap < depth * 0.5) return null;
+    
+    // 手全体が横に動いている場合はタップとみなさない
+    const drift = Math.hypot(last.palm.x - first.palm.x, last.palm.y - first.palm.y);
+    if (drift > this.options.tapMaxDrift) return null;
+    
+    const pushTime = (peak.t - first.t) / 1000;
+    
+    return {
+      gesture: 'airTap',
+      direction: 'forward',
+      speed: pushTime > 0 ? depth / pushTime : 0,
+      extent: depth,
+      position: { ...peak.tip },
+      duration: last.t - first.t
+    };
+  }
+}
@@ -0,0 +1,241 @@
+/**
+ * TwoHandAnalyzer.js
+ * 両手の位置関係（手のひらの間隔と角度）を解析し、拍手や両手を広げる・寄せる動きを検出するモジュール
+ * 間隔と角度は0～1に正規化した連続値として粒子の設定に割り当てられる
+ */
+
+import { Config } from '../../config.js';
+
+// 間隔の変化速度を求める時間幅（ミリ秒）
+const SPEED_WINDOW = 100;
+
+// 連続値を割り当てられる粒子の設定と値の範囲
+export const BINDING_TARGETS = {
+  size: { label: '粒子サイズ', min: 0.1, max: 3.0 },
+  gravity: { label: '重力', min: -360, max: 360 },
+  emissionRate: { label: '放出レート', min: 30, max: 600 },
+  maxSpeed: { label: '最大速度', min: 30, max: 300 },
+  interactionRadius: { label: '相互作用半径', min: 2, max: 30 }
+};
+
+export class TwoHandAnalyzer {
+  /**
+   * コンストラクタ
+   * @param {Object} options 設定オプション
+   * @param {EventEmitter} eventEmitter イベントエミッタ
+   */
+  constructor(options = {}, eventEmitter) {
+    this.options = { ...Config.twoHands, ...options };
+    this.eventEmitter = eventEmitter;
+    
+    // 間隔の履歴 [{ t, span }]（古い順）
+    this.samples = [];
+    this.lastDetection = -Infinity;
+    
+    // 両手が揃っているかどうか
+    this.active = false;
+  }
+
+  /**
+   * 設定を更新
+   * @param {Object} options 更新する設定
+   */
+  updateOptions(options) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * 手のデータから両手の関係を解析（handTracker:updateの受信時に呼び出す）
+   * @param {Object} handData 手の位置データ
+   */
+  update(handData) {
+    if (!this.options.enabled || handData.hands.length < 2) {
+      this.reset();
+      return;
+    }
+    
+    // 画面の左にある手を基準にする（左右の手の入れ替わりで角度が反転しないように）
+    const [left, right] = [handData.hands[0], handData.hands[1]]
+      .sort((a, b) => a.palm.x - b.palm.x);
+    
+    const dx = right.palm.x - left.palm.x;
+    const dy = right.palm.y - left.palm.y;
+    const dz = right.palm.z - left.palm.z;
+    
+    const span = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    const angle = Math.atan2(dy, dx) * 180 / Math.PI;
+    const midpoint = {
+      x: (left.palm.x + right.palm.x) / 2,
+      y: (left.palm.y + right.palm.y) / 2,
+      z: (left.palm.z + right.palm.z) / 2
+    };
+    
+    const now = handData.timestamp;
+    this.addSample(now, span);
+    
+    const values = {
+      span,
+      angle,
+      spanNormalized: this.normalize(span, this.options.spanMin, this.options.spanMax),
+      angleNormalized: this.normalize(angle, -this.options.angleRange, this.options.angleRange),
+      spanSpeed: this.getSpanSpeed(now),
+      midpoint,
+      handIds: [left.id, right.id]
+    };
+    values.bindings = this.getBindings(values);
+    
+    this.active = true;
+    this.eventEmitter.emit('handTracker:twoHands', values);
+    
+    if (now - this.lastDetection >= this.options.cooldown) {
+      this.recognize(values, now);
+    }
+  }
+
+  /**
+   * 状態をリセット（両手が揃わなくなった時など）
+   */
+  reset() {
+    this.samples = [];
+    
+    if (this.active) {
+      this.active = false;
+      this.eventEmitter.emit('handTracker:twoHandsLost');
+    }
+  }
+
+  /**
+   * 間隔の履歴に追加し、判定に使わない古いサンプルを破棄
+   * @param {number} t タイムスタンプ（ミリ秒）
+   * @param {number} span 手のひらの間隔
+   */
+  addSample(t, span) {
+    this.samples.push({ t, span });
+    
+    const maxAge = Math.max(this.options.stretchWindow, this.options.clapWindow, SPEED_WINDOW);
+    while (t - this.samples[0].t > maxAge) {
+      this.samples.shift();
+    }
+  }
+
+  /**
+   * 値を0～1に正規化
+   * @param {number} value 値
+   * @param {number} min 0に対応する値
+   * @param {number} max 1に対応する値
+   * @returns {number} 正規化した値
+   */
+  normalize(value, min, max) {
+    return Math.max(0, Math.min(1, (value - min) / (max - min)));
+  }
+
+  /**
+   * 直近の間隔の変化速度を取得（広がる方向が正）
+   * @param {number} now 現在のタイムスタンプ（ミリ秒）
+   * @returns {number} 速度（シーン座標/秒）
+   */
+  getSpanSpeed(now) {
+    const last = this.samples[this.samples.length - 1];
+    const reference = this.samples.find(sample => now - sample.t <= SPEED_WINDOW) || last;
+    const dt = last.t - reference.t;
+    
+    return dt > 0 ? (last.span - reference.span) / dt * 1000 : 0;
+  }
+
+  /**
+   * 連続値を割り当て先の粒子の設定値に変換
+   * 間隔と傾きに同じ設定が割り当てられている場合は間隔を優先する
+   * @param {Object} values 解析結果
+   * @returns {Object} 粒子の設定 { 設定名: 値 }
+   */
+  getBindings(values) {
+    const bindings = {};
+    const sources = [
+      [this.options.spanBinding, values.spanNormalized],
+      [this.options.angleBinding, values.angleNormalized]
+    ];
+    
+    sources.forEach(([target, amount]) => {
+      const range = BINDING_TARGETS[target];
+      if (range && !(target in bindings)) {
+        bindings[target] = range.min + (range.max - range.min) * amount;
+      }
+    });
+    
+    return bindings;
+  }
+
+  /**
+   * 間隔の履歴から拍手と両手を広げる・寄せる動きを判定
+   * @param {Object} values 解析結果
+   * @param {number} now 現在のタイムスタンプ（ミリ秒）
+   */
+  recognize(values, now) {
+    const gesture = this.detectClap(values, now) || this.detectStretch(values, now);
+    if (!gesture) return;
+    
+    this.lastDetection = now;
+    this.samples = [this.samples[this.samples.length - 1]];
+    
+    this.eventEmitter.emit('handTracker:twoHandGesture', {
+      ...gesture,
+      span: values.span,
+      position: values.midpoint,
+      handIds: values.handIds
+    });
+  }
+
+  /**
+   * 拍手を判定（手のひらが勢いよく近づいて接した瞬間）
+   * @param {Object} values 解析結果
+   * @param {number} now 現在のタイムスタンプ（ミリ秒）
+   * @returns {Object|null} 検出結果
+   */
+  detectClap(values, now) {
+    if (values.span > this.options.clapDistance) return null;
+    
+    // 直近で最も離れていた時点からの接近速度
+    let farthest = null;
+    this.samples.forEach(sample => {
+      if (now - sample.t <= this.options.clapWindow && (!farthest || sample.span > farthest.span)) {
+        farthest = sample;
+      }
+    });
+    
+    if (!farthest || farthest.span <= this.options.clapDistance || now === farthest.t) return null;
+    
+    const speed = (farthest.span - values.span) / (now - farthest.t) * 1000;
+    if (speed < this.options.clapMinSpeed) return null;
+    
+    return { gesture: 'clap', speed };
+  }
+
+  /**
+   * 両手を広げる・寄せる動きを判定（一方向に大きく動いて止まった時点）
+   * @param {Object} values 解析結果
+   * @param {number} now 現在のタイムスタンプ（ミリ秒）
+   * @returns {Object|null} 検出結果
+   */
+  detectStretch(values, now) {
+    if (Math.abs(values.spanSpeed) > this.options.stretchSettleSpeed) return null;
+    
+    const recent = this.samples.filter(sample => now - sample.t <= this.options.stretchWindow);
+    if (recent.length < 3) return null;
+    
+    const change = values.span - recent[0].span;
+    if (Math.abs(change) < this.options.stretchMinDistance) return null;
+    
+    // 行きつ戻りつする動きは除外
+    let path = 0;
+    for (let i = 1; i < recent.length; i++) {
+      path += Math.abs(recent[i].span - recent[i - 1].span);
+    }
+    if (Math.abs(change) / path < this.options.stretchStraightness) return null;
+    
+    return {
+      gesture: change > 0 ? 'pullApart' : 'pushTogether',
+      change,
+      duration: now - recent[0].t
+    };
+  }
+}
@@ -0,0 +1,318 @@
+/**
+ * OverlayRenderer.js
+ * 手の骨格をカメラ映像の上のキャンバスに描画するモジュール
+ * 入力ソースに関係なくhandTracker:updateの手を描画し、描画スタイルはregisterStyleで追加できる
+ */
+
+import { Config } from '../../config.js';
+import { HandLandmarks } from '../tracking/HandLandmarks.js';
+
+// すべての関節のインデックス
+const ALL_JOINTS = Array.from({ length: 21 }, (_, i) => i);
+
+// 標準の描画スタイル（名前 → 描画関数）
+// 描画関数は (ctx, overlay, renderer) を受け取る。overlayは { hand, points, gesture }、pointsは21点のピクセル座標
+export const OverlayStyles = {
+  // 関節のみ
+  dots: (ctx, overlay, renderer) => {
+    renderer.drawJoints(ctx, overlay, ALL_JOINTS, renderer.options.jointRadius);
+  },
+  
+  // 骨と関節（従来の表示）
+  bones: (ctx, overlay, renderer) => {
+    renderer.drawBones(ctx, overlay);
+    renderer.drawJoints(ctx, overlay, ALL_JOINTS, renderer.options.jointRadius);
+  },
+  
+  // 発光する骨（加算合成とぼかしで光って見せる）
+  neon: (ctx, overlay, renderer) => {
+    ctx.globalCompositeOperation = 'lighter';
+    ctx.shadowBlur = 15;
+    ctx.shadowColor = renderer.getHandColor(overlay.hand);
+    renderer.drawBones(ctx, overlay);
+    renderer.drawJoints(ctx, overlay, HandLandmarks.FINGER_TIPS, renderer.options.jointRadius);
+  },
+  
+  // 指先のみ
+  fingertips: (ctx, overlay, renderer) => {
+    renderer.drawJoints(ctx, overlay, HandLandmarks.FINGER_TIPS, renderer.options.jointRadius * 1.5);
+  },
+  
+  // 外接矩形
+  box: (ctx, overlay, renderer) => {
+    const bounds = renderer.getBounds(overlay.points);
+    ctx.lineWidth = renderer.options.lineWidth;
+    ctx.strokeStyle = renderer.getHandColor(overlay.hand);
+    ctx.strokeRect(bounds.minX, bounds.minY, bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+  }
+};
+
+export class OverlayRenderer {
+  /**
+   * コンストラクタ
+   * @param {Object} options 設定オプション
+   * @param {EventEmitter} eventEmitter イベントエミッタ
+   */
+  constructor(options = {}, eventEmitter) {
+    this.options = { ...Config.ui, ...options };
+    this.eventEmitter = eventEmitter;
+    this.canvas = null;
+    this.ctx = null;
+    this.coordinateMapper = null;
+    
+    // 描画する手と、手ごとの現在のジェスチャー（手のID → ジェスチャー名）
+    this.hands = [];
+    this.gestures = new Map();
+    
+    // 使用できる描画スタイル（registerStyleで追加できる）
+    this.styles = { ...OverlayStyles };
+  }
+
+  /**
+   * 初期化
+   * @param {HTMLCanvasElement} canvas 描画先のキャンバス
+   * @returns {OverlayRenderer} this（メソッドチェーン用）
+   */
+  init(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.resize(window.innerWidth, window.innerHeight);
+    
+    this.subscribeToEvents();
+    return this;
+  }
+
+  /**
+   * 座標変換サービスを設定
+   * @param {CoordinateMapper} mapper 座標変換サービス
+   */
+  setCoordinateMapper(mapper) {
+    this.coordinateMapper = mapper;
+  }
+
+  /**
+   * 描画スタイルを追加
+   * @param {string} name スタイル名（overlayStyleの設定値）
+   * @param {Function} draw 描画関数 (ctx, overlay, renderer) => void
+   */
+  registerStyle(name, draw) {
+    this.styles[name] = draw;
+  }
+
+  /**
+   * 設定を更新
+   * @param {Object} options 更新する設定
+   */
+  updateOptions(options) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * キャンバスのサイズを変更（ウィンドウのリサイズ時のみ呼び出す。サイズの変更は描画内容を消すため）
+   * @param {number} width 幅（ピクセル）
+   * @param {number} height 高さ（ピクセル）
+   */
+  resize(width, height) {
+    if (!this.canvas) return;
+    if (this.canvas.width === width && this.canvas.height === height) return;
+    
+    this.canvas.width = width;
+    this.canvas.height = height;
+  }
+
+  /**
+   * イベントを購読
+   */
+  subscribeToEvents() {
+    this.eventEmitter.on('handTracker:update', (data) => {
+      this.hands = data.hands;
+    });
+    
+    const clear = () => {
+      this.hands = [];
+      this.gestures.clear();
+    };
+    this.eventEmitter.on('handTracker:noHands', clear);
+    this.eventEmitter.on('handTracker:stopped', clear);
+    
+    this.eventEmitter.on('handTracker:gesture', (data) => {
+      this.gestures.set(data.handId, data.gesture);
+    });
+    
+    this.eventEmitter.on('handTracker:gestureEnd', (data) => {
+      this.gestures.delete(data.handId);
+    });
+  }
+
+  /**
+   * 手の骨格を描画（アニメーションループから毎フレーム呼び出す）
+   */
+  render() {
+    if (!this.ctx) return;
+    
+    const ctx = this.ctx;
+    const { width, height } = this.canvas;
+    ctx.clearRect(0, 0, width, height);
+    
+    if (!this.options.showHandSkeleton || this.hands.length === 0) return;
+    
+    const draw = this.styles[this.options.overlayStyle] || this.styles.bones;
+    
+    this.hands.forEach(hand => {
+      const overlay = {
+        hand,
+        points: hand.joints.map(joint => this.toCanvas(joint, width, height)),
+        gesture: this.gestures.get(hand.id) || null
+      };
+      
+      ctx.save();
+      
+      // 予測で保持している手は信頼度に応じて薄く描画
+      ctx.globalAlpha = hand.confidence !== undefined ? hand.confidence : 1;
+      draw(ctx, overlay, this);
+      
+      if (this.options.overlayLabels) {
+        this.drawLabel(ctx, overlay);
+      }
+      
+      ctx.restore();
+    });
+  }
+
+  /**
+   * 関節を円で描画
+   * @param {CanvasRenderingContext2D} ctx キャンバスコンテキスト
+   * @param {Object} overlay 描画する手 { hand, points, gesture }
+   * @param {number[]} indices 描画する関節のインデックス
+   * @param {number} radius 半径（ピクセル）
+   */
+  drawJoints(ctx, overlay, indices, radius) {
+    indices.forEach(index => {
+      const { x, y } = overlay.points[index];
+      ctx.beginPath();
+      ctx.arc(x, y, radius, 0, 2 * Math.PI);
+      ctx.fillStyle = this.getColor(overlay.hand, this.getFingerIndex(index));
+      ctx.fill();
+    });
+  }
+
+  /**
+   * 骨を線で描画
+   * @param {CanvasRenderingContext2D} ctx キャンバスコンテキスト
+   * @param {Object} overlay 描画する手 { hand, points, gesture }
+   */
+  drawBones(ctx, overlay) {
+    ctx.lineWidth = this.options.lineWidth;
+    ctx.lineCap = 'round';
+    
+    HandLandmarks.CONNECTIONS.forEach(([i, j]) => {
+      const start = overlay.points[i];
+      const end = overlay.points[j];
+      ctx.beginPath();
+      ctx.moveTo(start.x, start.y);
+      ctx.lineTo(end.x, end.y);
+      ctx.strokeStyle = this.getColor(overlay.hand, this.getBoneFingerIndex(i, j));
+      ctx.stroke();
+    });
+  }
+
+  /**
+   * 手の左右とジェスチャーのラベルを描画
+   * @param {CanvasRenderingContext2D} ctx キャンバスコンテキスト
+   * @param {Object} overlay 描画する手 { hand, points, gesture }
+   */
+  drawLabel(ctx, overlay) {
+    const { hand, points, gesture } = overlay;
+    const bounds = this.getBounds(points);
+    const text = [hand.handedness, gesture].filter(Boolean).join(' · ');
+    
+    ctx.font = '14px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillStyle = this.getHandColor(hand);
+    
+    const x = (bounds.minX + bounds.maxX) / 2;
+    const y = bounds.minY - 8;
+    ctx.strokeText(text, x, y);
+    ctx.fillText(text, x, y);
+  }
+
+  /**
+   * 手の色を取得
+   * @param {Object} hand 手のデータ
+   * @returns {string} 色
+   */
+  getHandColor(hand) {
+    return this.options.handColors[hand.handedness] || this.options.skeletonColor;
+  }
+
+  /**
+   * 関節または骨の色を取得（指ごとの色分けが無効な場合は手の色）
+   * @param {Object} hand 手のデータ
+   * @param {number} fingerIndex 指のインデックス（-1は手のひら）
+   * @returns {string} 色
+   */
+  getColor(hand, fingerIndex) {
+    if (this.options.overlayColorMode === 'finger' && fingerIndex >= 0) {
+      return this.options.fingerColors[fingerIndex];
+    }
+    return this.getHandColor(hand);
+  }
+
+  /**
+   * 関節が属する指のインデックスを取得
+   * @param {number} jointIndex 関節のインデックス
+   * @returns {number} 指のインデックス（手首は-1）
+   */
+  getFingerIndex(jointIndex) {
+    return HandLandmarks.FINGERS.findIndex(finger => finger.includes(jointIndex));
+  }
+
+  /**
+   * 骨（関節の接続）が属する指のインデックスを取得
+   * @param {number} i 始点の関節のインデックス
+   * @param {number} j 終点の関節のインデックス
+   * @returns {number} 指のインデックス（指の付け根同士をつなぐ手のひらの骨は-1）
+   */
+  getBoneFingerIndex(i, j) {
+    const fi = this.getFingerIndex(i);
+    const fj = this.getFingerIndex(j);
+    if (fi === -1) return fj;
+    return fi === fj ? fi : -1;
+  }
+
+  /**
+   * 点の外接矩形を計算
+   * @param {Array} points ピクセル座標の配列
+   * @returns {Object} { minX, minY, maxX, maxY }
+   */
+  getBounds(points) {
+    return {
+      minX: Math.min(...points.map(p => p.x)),
+      minY: Math.min(...points.map(p => p.y)),
+      maxX: Math.max(...points.map(p => p.x)),
+      maxY: Math.max(...points.map(p => p.y))
+    };
+  }
+
+  /**
+   * シーン座標をキャンバス上のピクセル座標に変換
+   * @param {Object} point シーン座標 { x, y, z }
+   * @param {number} width キャンバスの幅
+   * @param {number} height キャンバスの高さ
+   * @returns {Object} ピクセル座標 { x, y }
+   */
+  toCanvas(point, width, height) {
+    if (this.coordinateMapper) {
+      const screen = this.coordinateMapper.sceneToScreen(point);
+      return { x: screen.x * width, y: screen.y * height };
+    }
+    
+    return {
+      x: (point.x / 100 + 0.5) * width,
+      y: (0.5 - point.y / 100) * height
+    };
+  }
+}
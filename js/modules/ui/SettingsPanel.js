@@ -5,6 +5,41 @@
 
 import { Config } from '../../config.js';
 import { DOMUtils } from '../../utils/DOMUtils.js';
+import { BINDING_TARGETS } from '../tracking/TwoHandAnalyzer.js';
+import { OverlayStyles } from './OverlayRenderer.js';
+import { HandLandmarks } from '../tracking/HandLandmarks.js';
+
+// エミッターの形状の選択肢
+const EMITTER_SHAPE_OPTIONS = [
+  { value: 'point', label: '関節の点' },
+  { value: 'ring', label: '手のひらの輪' },
+  { value: 'line', label: '2点を結ぶ線' },
+  { value: 'disc', label: '手のひらの円板' },
+  { value: 'bone', label: '骨' }
+];
+
+// エミッターが追従する手の選択肢
+const EMITTER_HAND_OPTIONS = [
+  { value: '', label: '両手' },
+  { value: 'Left', label: '左手' },
+  { value: 'Right', label: '右手' }
+];
+
+// 21点の関節の選択肢（手首、各指の付け根から指先の順）
+const FINGER_LABELS = ['親指', '人差し指', '中指', '薬指', '小指'];
+const JOINT_OPTIONS = [{ value: '0', label: '手首' }];
+HandLandmarks.FINGERS.forEach((joints, fingerIndex) => {
+  joints.forEach((joint, k) => {
+    const part = k === joints.length - 1 ? '先' : ` 関節${k + 1}`;
+    JOINT_OPTIONS.push({ value: String(joint), label: `${FINGER_LABELS[fingerIndex]}${part}` });
+  });
+});
+
+// 骨の選択肢（HandLandmarks.CONNECTIONSのインデックス）
+const BONE_OPTIONS = HandLandmarks.CONNECTIONS.map(([a, b], index) => ({
+  value: String(index),
+  label: `${JOINT_OPTIONS[a].label} – ${JOINT_OPTIONS[b].label}`
+}));
 
 export class SettingsPanel {
   /**
@@ -16,7 +51,31 @@ export class SettingsPanel {
     this.settingsPanel = null;
     this.settingsForm = null;
     this.isVisible = false;
-    this.currentSettings = { ...Config.particles };
+    this.currentSettings = this.getDefaultSettings();
+  }
+
+  /**
+   * デフォルトの設定値を取得
+   * @returns {Object} 設定オブジェクト
+   */
+  getDefaultSettings() {
+    return {
+      ...Config.particles,
+      smoothing: Config.handTracking.smoothing,
+      smoothingMinCutoff: Config.handTracking.smoothingMinCutoff,
+      smoothingBeta: Config.handTracking.smoothingBeta,
+      overlayStyle: Config.ui.overlayStyle,
+      overlayColorMode: Config.ui.overlayColorMode,
+      overlayLabels: Config.ui.overlayLabels,
+      mirror: Config.mapping.mirror,
+      cameraDevice: Config.handTracking.cameraDevice,
+      cameraResolution: Config.handTracking.cameraResolution,
+      cameraFrameRate: Config.handTracking.cameraFrameRate,
+      inferenceRate: Config.handTracking.inferenceRate,
+      lossHoldTime: Config.handTracking.lossHoldTime,
+      spanBinding: Config.twoHands.spanBinding,
+      angleBinding: Config.twoHands.angleBinding
+    };
   }
 
   /**
@@ -30,6 +89,7 @@ export class SettingsPanel {
     
     // イベントリスナーを設定
     this.setupEventListeners();
+    this.updateBindingOptions();
     
     // イベントエミッタのイベントを購読
     this.subscribeToEvents();
@@ -71,9 +131,9 @@ export class SettingsPanel {
       className: 'settings-form'
     });
     
-    // 粒子数の設定
+    // 粒子数の設定（設定キーはcount。操作パネルの粒子数スライダーとはIDを分ける）
     const countGroup = this.createSliderGroup(
-      'particle-count',
+      'count',
       '粒子数',
       Config.particles.count,
       100,
@@ -98,9 +158,9 @@ export class SettingsPanel {
       'gravity',
       '重力',
       Config.particles.gravity,
-      -0.1,
-      0.1,
-      0.01,
+      -300,
+      300,
+      1,
       ''
     );
     
@@ -109,9 +169,9 @@ export class SettingsPanel {
       'friction',
       '摩擦',
       Config.particles.friction,
-      0.9,
+      0,
       1.0,
-      0.01,
+      0.05,
       ''
     );
     
@@ -120,10 +180,42 @@ export class SettingsPanel {
       'lifetime',
       '寿命',
       Config.particles.lifetime,
-      100,
-      3000,
-      100,
-      'frames'
+      1,
+      60,
+      1,
+      's'
+    );
+    
+    // 現れる時間と消える時間の設定
+    const fadeInGroup = this.createSliderGroup(
+      'fade-in',
+      'フェードイン',
+      Config.particles.fadeIn,
+      0,
+      2,
+      0.05,
+      's'
+    );
+    
+    const fadeOutGroup = this.createSliderGroup(
+      'fade-out',
+      'フェードアウト',
+      Config.particles.fadeOut,
+      0,
+      4,
+      0.1,
+      's'
+    );
+    
+    // 粒子の縁のぼかしの設定
+    const softnessGroup = this.createSliderGroup(
+      'softness',
+      '縁のぼかし',
+      Config.particles.softness,
+      0,
+      1,
+      0.1,
+      ''
     );
     
     // 放出レートの設定
@@ -131,10 +223,85 @@ export class SettingsPanel {
       'emission-rate',
       '放出レート',
       Config.particles.emissionRate,
-      1,
-      20,
-      1,
-      '/frame'
+      30,
+      600,
+      30,
+      '/s'
+    );
+    
+    // 骨格の描画スタイル
+    const overlayStyleLabels = {
+      dots: '関節',
+      bones: '骨と関節',
+      neon: 'ネオン',
+      fingertips: '指先のみ',
+      box: '外接矩形'
+    };
+    const overlayStyleGroup = this.createSelectGroup(
+      'overlay-style',
+      '骨格の表示',
+      Object.keys(OverlayStyles).map(value => ({ value, label: overlayStyleLabels[value] || value })),
+      Config.ui.overlayStyle
+    );
+    
+    // 骨格の色分け
+    const overlayColorModeGroup = this.createSelectGroup(
+      'overlay-color-mode',
+      '骨格の色分け',
+      [{ value: 'hand', label: '手ごと' }, { value: 'finger', label: '指ごと' }],
+      Config.ui.overlayColorMode
+    );
+    
+    // チェックボックス：手の左右とジェスチャーの表示
+    const overlayLabelsGroup = this.createCheckboxGroup(
+      'overlay-labels',
+      '手の左右とジェスチャーを表示',
+      Config.ui.overlayLabels
+    );
+    
+    // 粒子との相互作用に使う部位
+    const interactionModeGroup = this.createSelectGroup(
+      'interaction-mode',
+      '粒子に触れる部位',
+      [
+        { value: 'tips', label: '指先' },
+        { value: 'joints', label: 'すべての関節' },
+        { value: 'skeleton', label: '骨格' }
+      ],
+      Config.particles.interactionMode
+    );
+    
+    // 粒子が満杯のときの扱い
+    const overflowPolicyGroup = this.createSelectGroup(
+      'overflow-policy',
+      '粒子が満杯のとき',
+      [
+        { value: 'recycleOldest', label: '最も古い粒子を再利用' },
+        { value: 'recycleRandom', label: 'ランダムな粒子を再利用' },
+        { value: 'drop', label: '放出しない' }
+      ],
+      Config.particles.overflowPolicy
+    );
+    
+    // チェックボックス：指の曲がり具合に応じた放出
+    const curlEmissionGroup = this.createCheckboxGroup(
+      'curl-emission',
+      '指の曲がり具合で放出量を変える',
+      Config.particles.curlEmission
+    );
+    
+    // チェックボックス：標準の指先からの放出
+    const fingertipEmissionGroup = this.createCheckboxGroup(
+      'fingertip-emission',
+      '伸びた指先から放出する',
+      Config.particles.fingertipEmission
+    );
+    
+    // エミッターの編集
+    const emitterGroup = this.createEmitterGroup(
+      'emitters',
+      'エミッター',
+      Config.particles.emitters
     );
     
     // チェックボックス：手のスケルトン表示
@@ -144,6 +311,109 @@ export class SettingsPanel {
       Config.ui.showHandSkeleton
     );
     
+    // チェックボックス：手の動きの平滑化
+    const smoothingGroup = this.createCheckboxGroup(
+      'smoothing',
+      '手の動きを平滑化',
+      Config.handTracking.smoothing
+    );
+    
+    // チェックボックス：映像の鏡像表示
+    const mirrorGroup = this.createCheckboxGroup(
+      'mirror',
+      '映像を鏡像表示',
+      Config.mapping.mirror
+    );
+    
+    // 平滑化の最小カットオフ周波数
+    const minCutoffGroup = this.createSliderGroup(
+      'smoothing-min-cutoff',
+      '平滑化: 最小カットオフ',
+      Config.handTracking.smoothingMinCutoff,
+      0.1,
+      5.0,
+      0.1,
+      'Hz'
+    );
+    
+    // 平滑化の速度係数
+    const betaGroup = this.createSliderGroup(
+      'smoothing-beta',
+      '平滑化: 速度係数',
+      Config.handTracking.smoothingBeta,
+      0,
+      20,
+      0.5,
+      ''
+    );
+    
+    // カメラの選択（一覧はhandTracker:devicesで更新）
+    const cameraDeviceGroup = this.createSelectGroup(
+      'camera-device',
+      'カメラ',
+      [{ value: '', label: '既定のカメラ' }],
+      Config.handTracking.cameraDevice
+    );
+    
+    // カメラの解像度
+    const cameraResolutionGroup = this.createSelectGroup(
+      'camera-resolution',
+      'カメラの解像度',
+      ['320x240', '640x480', '1280x720', '1920x1080'].map(value => ({ value, label: value })),
+      Config.handTracking.cameraResolution
+    );
+    
+    // カメラのフレームレート
+    const cameraFrameRateGroup = this.createSliderGroup(
+      'camera-frame-rate',
+      'カメラのフレームレート',
+      Config.handTracking.cameraFrameRate,
+      15,
+      60,
+      5,
+      'fps'
+    );
+    
+    // 推論の目標レート
+    const inferenceRateGroup = this.createSliderGroup(
+      'inference-rate',
+      '推論レート',
+      Config.handTracking.inferenceRate,
+      5,
+      60,
+      5,
+      'Hz'
+    );
+    
+    // 見失った手を予測で保持する時間（IDの猶予期間を超えると再検出した手と二重になるため猶予期間まで）
+    const lossHoldTimeGroup = this.createSliderGroup(
+      'loss-hold-time',
+      '見失った手の保持時間',
+      Config.handTracking.lossHoldTime,
+      0,
+      Config.handTracking.identityGracePeriod,
+      50,
+      'ms'
+    );
+    
+    // 両手の間隔・角度を割り当てる設定
+    const bindingOptions = [
+      { value: '', label: '割り当てない' },
+      ...Object.entries(BINDING_TARGETS).map(([value, target]) => ({ value, label: target.label }))
+    ];
+    const spanBindingGroup = this.createSelectGroup(
+      'span-binding',
+      '両手の間隔で変える設定',
+      bindingOptions,
+      Config.twoHands.spanBinding
+    );
+    const angleBindingGroup = this.createSelectGroup(
+      'angle-binding',
+      '両手の傾きで変える設定',
+      bindingOptions,
+      Config.twoHands.angleBinding
+    );
+    
     // カラーパレット
     const colorGroup = this.createColorGroup(
       'particle-colors',
@@ -151,6 +421,28 @@ export class SettingsPanel {
       Config.particles.colors
     );
     
+    // 色の決め方
+    const colorModeGroup = this.createSelectGroup(
+      'color-mode',
+      '色の決め方',
+      [
+        { value: 'random', label: 'パレットからランダム' },
+        { value: 'lifetime', label: '寿命（グラデーション）' },
+        { value: 'speed', label: '速度（グラデーション）' },
+        { value: 'distance', label: '手からの距離（グラデーション）' },
+        { value: 'hand', label: '放出した手（パレット）' },
+        { value: 'finger', label: '放出した指（パレット）' }
+      ],
+      Config.particles.colorMode
+    );
+    
+    // グラデーションの編集
+    const gradientGroup = this.createGradientGroup(
+      'color-gradient',
+      'グラデーション',
+      Config.particles.colorGradient
+    );
+    
     // ボタングループ
     const buttonGroup = DOMUtils.createElement('div', {
       className: 'settings-group settings-buttons'
@@ -174,12 +466,36 @@ export class SettingsPanel {
     // フォームに要素を追加
     this.settingsForm.appendChild(countGroup);
     this.settingsForm.appendChild(sizeGroup);
+    this.settingsForm.appendChild(softnessGroup);
     this.settingsForm.appendChild(gravityGroup);
     this.settingsForm.appendChild(frictionGroup);
     this.settingsForm.appendChild(lifetimeGroup);
+    this.settingsForm.appendChild(fadeInGroup);
+    this.settingsForm.appendChild(fadeOutGroup);
     this.settingsForm.appendChild(emissionGroup);
+    this.settingsForm.appendChild(curlEmissionGroup);
+    this.settingsForm.appendChild(fingertipEmissionGroup);
+    this.settingsForm.appendChild(emitterGroup);
+    this.settingsForm.appendChild(interactionModeGroup);
+    this.settingsForm.appendChild(overflowPolicyGroup);
     this.settingsForm.appendChild(skeletonGroup);
+    this.settingsForm.appendChild(overlayStyleGroup);
+    this.settingsForm.appendChild(overlayColorModeGroup);
+    this.settingsForm.appendChild(overlayLabelsGroup);
+    this.settingsForm.appendChild(mirrorGroup);
+    this.settingsForm.appendChild(smoothingGroup);
+    this.settingsForm.appendChild(minCutoffGroup);
+    this.settingsForm.appendChild(betaGroup);
+    this.settingsForm.appendChild(cameraDeviceGroup);
+    this.settingsForm.appendChild(cameraResolutionGroup);
+    this.settingsForm.appendChild(cameraFrameRateGroup);
+    this.settingsForm.appendChild(inferenceRateGroup);
+    this.settingsForm.appendChild(lossHoldTimeGroup);
+    this.settingsForm.appendChild(spanBindingGroup);
+    this.settingsForm.appendChild(angleBindingGroup);
+    this.settingsForm.appendChild(colorModeGroup);
     this.settingsForm.appendChild(colorGroup);
+    this.settingsForm.appendChild(gradientGroup);
     this.settingsForm.appendChild(buttonGroup);
     
     // パネルに要素を追加
@@ -278,6 +594,74 @@ export class SettingsPanel {
     return group;
   }
 
+  /**
+   * セレクトボックスグループを作成
+   * @param {string} id 要素ID
+   * @param {string} label ラベル
+   * @param {Array} options 選択肢 [{ value, label }]
+   * @param {string} value 初期値
+   * @returns {HTMLElement} セレクトボックスグループ要素
+   */
+  createSelectGroup(id, label, options, value) {
+    const group = DOMUtils.createElement('div', {
+      className: 'settings-group'
+    });
+    
+    const labelElement = DOMUtils.createElement('label', {
+      for: id,
+      className: 'settings-label'
+    }, label);
+    
+    const select = DOMUtils.createElement('select', {
+      id,
+      className: 'settings-select'
+    });
+    this.setSelectOptions(select, options, value);
+    
+    group.appendChild(labelElement);
+    group.appendChild(select);
+    
+    return group;
+  }
+
+  /**
+   * セレクトボックスの選択肢を設定
+   * @param {HTMLSelectElement} select セレクトボックス
+   * @param {Array} options 選択肢 [{ value, label }]
+   * @param {string} value 選択する値
+   */
+  setSelectOptions(select, options, value) {
+    select.innerHTML = '';
+    options.forEach(option => {
+      const optionElement = DOMUtils.createElement('option', {
+        value: option.value
+      });
+      
+      // デバイス名はそのまま表示する（HTMLとして解釈しない）
+      optionElement.textContent = option.label;
+      select.appendChild(optionElement);
+    });
+    select.value = value;
+  }
+
+  /**
+   * カメラの選択肢を更新
+   * @param {Object} data { devices: [{ deviceId, label }], activeDevice }
+   */
+  updateCameraDevices({ devices, activeDevice }) {
+    const select = this.settingsPanel.querySelector('#camera-device');
+    if (!select) return;
+    
+    const options = [
+      { value: '', label: '既定のカメラ' },
+      ...devices.map(device => ({ value: device.deviceId, label: device.label }))
+    ];
+    
+    // 既定のカメラを使っている場合は選択を変えない
+    const selected = this.currentSettings.cameraDevice ? activeDevice : '';
+    this.setSelectOptions(select, options, selected || '');
+  }
+
   /**
    * カラーグループを作成
    * @param {string} id 要素ID
@@ -325,6 +709,395 @@ export class SettingsPanel {
     return group;
   }
 
+  /**
+   * グラデーションの編集グループを作成
+   * @param {string} id 要素ID
+   * @param {string} label ラベル
+   * @param {Array} stops 停止点 [{ position, color }]
+   * @returns {HTMLElement} グラデーションの編集グループ要素
+   */
+  createGradientGroup(id, label, stops) {
+    const group = DOMUtils.createElement('div', {
+      className: 'settings-group'
+    });
+    
+    const labelElement = DOMUtils.createElement('label', {
+      className: 'settings-label'
+    }, label);
+    
+    // プレビュー
+    const preview = DOMUtils.createElement('div', {
+      className: 'gradient-preview',
+      id: `${id}-preview`
+    });
+    
+    // 停止点の一覧
+    const stopContainer = DOMUtils.createElement('div', {
+      className: 'gradient-container',
+      id: `${id}-container`
+    });
+    
+    // 停止点の追加ボタン
+    const addStopButton = DOMUtils.createElement('button', {
+      type: 'button',
+      className: 'add-stop-button'
+    }, '+');
+    
+    group.appendChild(labelElement);
+    group.appendChild(preview);
+    group.appendChild(stopContainer);
+    group.appendChild(addStopButton);
+    
+    this.updateGradientEditor(stops, group);
+    
+    return group;
+  }
+
+  /**
+   * グラデーションの編集UIを更新
+   * @param {Array} stops 停止点 [{ position, color }]
+   * @param {HTMLElement} [root=this.settingsPanel] 要素を探す範囲（パネルの作成中に使う）
+   */
+  updateGradientEditor(stops, root = this.settingsPanel) {
+    const container = root.querySelector('#color-gradient-container');
+    const preview = root.querySelector('#color-gradient-preview');
+    if (!container || !preview) return;
+    
+    // プレビューの更新
+    const sorted = [...stops].sort((a, b) => a.position - b.position);
+    const parts = sorted.map(stop => `${stop.color} ${Math.round(stop.position * 100)}%`);
+    preview.style.background = `linear-gradient(to right, ${parts.join(', ')})`;
+    
+    // 停止点の行を作り直す
+    container.innerHTML = '';
+    
+    stops.forEach((stop, index) => {
+      const row = DOMUtils.createElement('div', {
+        className: 'gradient-stop'
+      });
+      
+      const colorPicker = DOMUtils.createElement('input', {
+        type: 'color',
+        className: 'gradient-color',
+        value: stop.color
+      });
+      
+      const positionSlider = DOMUtils.createElement('input', {
+        type: 'range',
+        className: 'gradient-position',
+        min: 0,
+        max: 1,
+        step: 0.05,
+        value: stop.position
+      });
+      
+      const removeButton = DOMUtils.createElement('button', {
+        type: 'button',
+        className: 'remove-stop-button'
+      }, '×');
+      
+      // 停止点は2つ以上残す
+      removeButton.disabled = stops.length <= 2;
+      
+      DOMUtils.addEvent(colorPicker, 'change', (e) => {
+        this.changeGradient(index, { color: e.target.value });
+      });
+      
+      DOMUtils.addEvent(positionSlider, 'change', (e) => {
+        this.changeGradient(index, { position: parseFloat(e.target.value) });
+      });
+      
+      DOMUtils.addEvent(removeButton, 'click', () => {
+        this.changeGradient(index, null);
+      });
+      
+      row.appendChild(colorPicker);
+      row.appendChild(positionSlider);
+      row.appendChild(removeButton);
+      container.appendChild(row);
+    });
+  }
+
+  /**
+   * グラデーションの停止点を変更して通知
+   * @param {number} index 停止点のインデックス（-1で追加）
+   * @param {Object|null} changes 変更する値 { position, color }（nullで削除）
+   */
+  changeGradient(index, changes) {
+    const stops = this.currentSettings.colorGradient.map(stop => ({ ...stop }));
+    
+    if (index === -1) {
+      stops.push(changes);
+    } else if (changes === null) {
+      stops.splice(index, 1);
+    } else {
+      stops[index] = { ...stops[index], ...changes };
+    }
+    
+    this.updateGradientEditor(stops);
+    
+    this.eventEmitter.emit('ui:settingChanged', {
+      setting: 'colorGradient',
+      value: stops
+    });
+  }
+
+  /**
+   * エミッターの編集グループを作成
+   * @param {string} id 要素ID
+   * @param {string} label ラベル
+   * @param {Array} emitters エミッターの設定 [{ shape, ...設定 }]
+   * @returns {HTMLElement} エミッターの編集グループ要素
+   */
+  createEmitterGroup(id, label, emitters) {
+    const group = DOMUtils.createElement('div', {
+      className: 'settings-group'
+    });
+    
+    const labelElement = DOMUtils.createElement('label', {
+      className: 'settings-label'
+    }, label);
+    
+    // エミッターの一覧
+    const emitterContainer = DOMUtils.createElement('div', {
+      className: 'emitter-container',
+      id: `${id}-container`
+    });
+    
+    // エミッターの追加ボタン
+    const addEmitterButton = DOMUtils.createElement('button', {
+      type: 'button',
+      className: 'add-emitter-button'
+    }, '+ エミッターを追加');
+    
+    group.appendChild(labelElement);
+    group.appendChild(emitterContainer);
+    group.appendChild(addEmitterButton);
+    
+    this.updateEmitterEditor(emitters, group);
+    
+    return group;
+  }
+
+  /**
+   * エミッターの編集UIを更新
+   * @param {Array} emitters エミッターの設定 [{ shape, ...設定 }]
+   * @param {HTMLElement} [root=this.settingsPanel] 要素を探す範囲（パネルの作成中に使う）
+   */
+  updateEmitterEditor(emitters, root = this.settingsPanel) {
+    const container = root.querySelector('#emitters-container');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    
+    emitters.forEach((config, index) => {
+      // 設定にない値は既定値で表示する
+      const emitter = { ...Config.emitters.defaults, ...config };
+      const change = (changes) => this.changeEmitter(index, changes);
+      
+      const item = DOMUtils.createElement('div', {
+        className: 'emitter-item'
+      });
+      
+      // 形状、追従する手、削除ボタン
+      const header = DOMUtils.createElement('div', {
+        className: 'emitter-row'
+      });
+      header.appendChild(this.createEmitterSelect(EMITTER_SHAPE_OPTIONS, emitter.shape, (value) => {
+        change({ shape: value });
+      }));
+      header.appendChild(this.createEmitterSelect(EMITTER_HAND_OPTIONS, emitter.handedness || '', (value) => {
+        change({ handedness: value || null });
+      }));
+      
+      const removeButton = DOMUtils.createElement('button', {
+        type: 'button',
+        className: 'remove-emitter-button'
+      }, '×');
+      DOMUtils.addEvent(removeButton, 'click', () => {
+        this.changeEmitter(index, null);
+      });
+      header.appendChild(removeButton);
+      item.appendChild(header);
+      
+      // 形状ごとの取り付け位置
+      const location = DOMUtils.createElement('div', {
+        className: 'emitter-row'
+      });
+      const palmOption = [{ value: 'palm', label: '手のひらの中心' }];
+      
+      switch (emitter.shape) {
+        case 'line':
+          [0, 1].forEach(end => {
+            location.appendChild(this.createEmitterSelect(JOINT_OPTIONS, String(emitter.landmarks[end]), (value) => {
+              const landmarks = [...emitter.landmarks];
+              landmarks[end] = parseInt(value, 10);
+              change({ landmarks });
+            }));
+          });
+          break;
+        case 'bone':
+          location.appendChild(this.createEmitterSelect(BONE_OPTIONS, String(emitter.bone), (value) => {
+            change({ bone: parseInt(value, 10) });
+          }));
+          break;
+        default:
+          location.appendChild(this.createEmitterSelect(
+            [...palmOption, ...JOINT_OPTIONS],
+            String(emitter.landmark),
+            (value) => change({ landmark: value === 'palm' ? 'palm' : parseInt(value, 10) })
+          ));
+          break;
+      }
+      
+      if (emitter.shape === 'ring' || emitter.shape === 'disc') {
+        location.appendChild(this.createEmitterNumber('半径', emitter.radius, 0, 3, 0.1, (value) => {
+          change({ radius: value });
+        }));
+      }
+      item.appendChild(location);
+      
+      // 放出の設定
+      const emission = DOMUtils.createElement('div', {
+        className: 'emitter-row'
+      });
+      emission.appendChild(this.createEmitterNumber('個/秒', emitter.rate, 0, 1000, 10, (value) => {
+        change({ rate: value });
+      }));
+      emission.appendChild(this.createEmitterNumber('バースト', emitter.burst, 0, 500, 10, (value) => {
+        change({ burst: value });
+      }));
+      emission.appendChild(this.createEmitterNumber('広がり°', emitter.spread, 0, 180, 5, (value) => {
+        change({ spread: value });
+      }));
+      emission.appendChild(this.createEmitterNumber('初速', emitter.speed, 0, 600, 10, (value) => {
+        change({ speed: value });
+      }));
+      item.appendChild(emission);
+      
+      // 寿命と色（未指定の場合は粒子の設定に従う）
+      const appearance = DOMUtils.createElement('div', {
+        className: 'emitter-row'
+      });
+      appearance.appendChild(this.createEmitterNumber('寿命', emitter.lifetime, 0, 60, 0.5, (value) => {
+        change({ lifetime: value || null });
+      }));
+      
+      const colorToggle = DOMUtils.createElement('input', {
+        type: 'checkbox',
+        className: 'emitter-color-toggle'
+      });
+      colorToggle.checked = !!emitter.color;
+      const colorPicker = DOMUtils.createElement('input', {
+        type: 'color',
+        className: 'emitter-color',
+        value: emitter.color || '#ffffff'
+      });
+      colorPicker.disabled = !emitter.color;
+      
+      DOMUtils.addEvent(colorToggle, 'change', (e) => {
+        change({ color: e.target.checked ? colorPicker.value : null });
+      });
+      DOMUtils.addEvent(colorPicker, 'change', (e) => {
+        change({ color: e.target.value });
+      });
+      
+      const colorLabel = DOMUtils.createElement('label', {
+        className: 'emitter-field'
+      }, '色');
+      colorLabel.appendChild(colorToggle);
+      colorLabel.appendChild(colorPicker);
+      appearance.appendChild(colorLabel);
+      item.appendChild(appearance);
+      
+      container.appendChild(item);
+    });
+  }
+
+  /**
+   * エミッターの編集用のセレクトボックスを作成
+   * （settings-selectのクラスを付けると設定キーとして通知されるため、別のクラスにする）
+   * @param {Array} options 選択肢 [{ value, label }]
+   * @param {string} value 選択する値
+   * @param {Function} onChange 変更時に呼び出す関数 (value) => void
+   * @returns {HTMLSelectElement} セレクトボックス
+   */
+  createEmitterSelect(options, value, onChange) {
+    const select = DOMUtils.createElement('select', {
+      className: 'emitter-select'
+    });
+    this.setSelectOptions(select, options, value);
+    
+    DOMUtils.addEvent(select, 'change', (e) => {
+      onChange(e.target.value);
+    });
+    
+    return select;
+  }
+
+  /**
+   * エミッターの編集用の数値入力を作成
+   * @param {string} label ラベル
+   * @param {number|null} value 値（nullは空欄）
+   * @param {number} min 最小値
+   * @param {number} max 最大値
+   * @param {number} step ステップ
+   * @param {Function} onChange 変更時に呼び出す関数 (value) => void（空欄は0）
+   * @returns {HTMLElement} ラベル付きの数値入力
+   */
+  createEmitterNumber(label, value, min, max, step, onChange) {
+    const field = DOMUtils.createElement('label', {
+      className: 'emitter-field'
+    }, label);
+    
+    const input = DOMUtils.createElement('input', {
+      type: 'number',
+      className: 'emitter-number',
+      min,
+      max,
+      step,
+      value: value === null ? '' : value
+    });
+    
+    DOMUtils.addEvent(input, 'change', (e) => {
+      const number = parseFloat(e.target.value);
+      onChange(isNaN(number) ? 0 : Math.min(Math.max(number, min), max));
+    });
+    
+    field.appendChild(input);
+    return field;
+  }
+
+  /**
+   * エミッターの設定を変更して通知
+   * @param {number} index エミッターのインデックス（-1で追加）
+   * @param {Object|null} changes 変更する値（nullで削除）
+   */
+  changeEmitter(index, changes) {
+    const emitters = this.currentSettings.emitters.map(emitter => ({ ...emitter }));
+    
+    // 削除しても他のエミッターの状態が入れ替わらないように、各設定に識別子（key）を付ける
+    let nextKey = emitters.reduce((max, emitter) => Math.max(max, emitter.key || 0), 0) + 1;
+    emitters.forEach(emitter => {
+      if (emitter.key === undefined) emitter.key = nextKey++;
+    });
+    
+    if (index === -1) {
+      emitters.push({ ...changes, key: nextKey });
+    } else if (changes === null) {
+      emitters.splice(index, 1);
+    } else {
+      emitters[index] = { ...emitters[index], ...changes };
+    }
+    
+    this.updateEmitterEditor(emitters);
+    
+    this.eventEmitter.emit('ui:settingChanged', {
+      setting: 'emitters',
+      value: emitters
+    });
+  }
+
   /**
    * イベントリスナーを設定
    */
@@ -350,14 +1123,28 @@ export class SettingsPanel {
           
           // 単位を追加
           switch (e.target.id) {
-            case 'particle-count':
+            case 'count':
               displayValue += ' particles';
               break;
             case 'lifetime':
-              displayValue += ' frames';
+            case 'fade-in':
+            case 'fade-out':
+              displayValue += ' s';
               break;
             case 'emission-rate':
-              displayValue += '/frame';
+              displayValue += '/s';
+              break;
+            case 'smoothing-min-cutoff':
+              displayValue += ' Hz';
+              break;
+            case 'camera-frame-rate':
+              displayValue += ' fps';
+              break;
+            case 'inference-rate':
+              displayValue += ' Hz';
+              break;
+            case 'loss-hold-time':
+              displayValue += ' ms';
               break;
           }
           
@@ -391,6 +1178,24 @@ export class SettingsPanel {
       });
     });
     
+    // セレクトボックスの変更イベント
+    const selects = this.settingsPanel.querySelectorAll('.settings-select');
+    selects.forEach(select => {
+      DOMUtils.addEvent(select, 'change', (e) => {
+        const setting = e.target.id.replace(/-([a-z])/g, (g) => g[1].toUpperCase());
+        const value = e.target.value;
+        
+        this.eventEmitter.emit('ui:settingChanged', {
+          setting,
+          value
+        });
+        
+        if (setting === 'spanBinding' || setting === 'angleBinding') {
+          this.updateBindingOptions();
+        }
+      });
+    });
+    
     // 色の変更イベント
     const colorPickers = this.settingsPanel.querySelectorAll('.color-picker');
     colorPickers.forEach(colorPicker => {
@@ -424,6 +1229,34 @@ export class SettingsPanel {
       });
     }
     
+    // グラデーションの停止点の追加ボタン（最も間隔の広い停止点の間に追加する）
+    const addStopButton = this.settingsPanel.querySelector('.add-stop-button');
+    if (addStopButton) {
+      DOMUtils.addEvent(addStopButton, 'click', () => {
+        const sorted = [...this.currentSettings.colorGradient].sort((a, b) => a.position - b.position);
+        let position = 0.5;
+        let widest = 0;
+        for (let i = 1; i < sorted.length; i++) {
+          const gap = sorted[i].position - sorted[i - 1].position;
+          if (gap > widest) {
+            widest = gap;
+            position = sorted[i - 1].position + gap / 2;
+          }
+        }
+        
+        const randomColor = `#${Math.floor(Math.random() * 16777215).toString(16).padStart(6, '0')}`;
+        this.changeGradient(-1, { position: Math.round(position * 100) / 100, color: randomColor });
+      });
+    }
+    
+    // エミッターの追加ボタン（人差し指の先の点から始める）
+    const addEmitterButton = this.settingsPanel.querySelector('.add-emitter-button');
+    if (addEmitterButton) {
+      DOMUtils.addEvent(addEmitterButton, 'click', () => {
+        this.changeEmitter(-1, { shape: 'point', landmark: 8 });
+      });
+    }
+    
     // 設定リセットボタン
     const resetButton = this.settingsPanel.querySelector('.settings-reset');
     if (resetButton) {
@@ -443,6 +1276,21 @@ export class SettingsPanel {
     }
   }
 
+  /**
+   * 両手の間隔と傾きに同じ設定を割り当てられないように、もう一方で選んでいる設定を選択肢で無効にする
+   */
+  updateBindingOptions() {
+    const spanSelect = document.getElementById('span-binding');
+    const angleSelect = document.getElementById('angle-binding');
+    if (!spanSelect || !angleSelect) return;
+    
+    [[spanSelect, angleSelect], [angleSelect, spanSelect]].forEach(([select, other]) => {
+      Array.from(select.options).forEach(option => {
+        option.disabled = option.value !== '' && option.value === other.value;
+      });
+    });
+  }
+
   /**
    * カラーピッカーのUI更新
    * @param {string[]} colors 色の配列
@@ -504,6 +1352,11 @@ export class SettingsPanel {
     this.eventEmitter.on('settings:loaded', (settings) => {
       this.updateAllSettings(settings);
     });
+    
+    // カメラの一覧の更新
+    this.eventEmitter.on('handTracker:devices', (data) => {
+      this.updateCameraDevices(data);
+    });
   }
 
   /**
@@ -549,14 +1402,28 @@ export class SettingsPanel {
         
         // 単位を追加
         switch (kebabSetting) {
-          case 'particle-count':
+          case 'count':
             displayValue += ' particles';
             break;
           case 'lifetime':
-            displayValue += ' frames';
+          case 'fade-in':
+          case 'fade-out':
+            displayValue += ' s';
             break;
           case 'emission-rate':
-            displayValue += '/frame';
+            displayValue += '/s';
+            break;
+          case 'smoothing-min-cutoff':
+            displayValue += ' Hz';
+            break;
+          case 'camera-frame-rate':
+            displayValue += ' fps';
+            break;
+          case 'inference-rate':
+            displayValue += ' Hz';
+            break;
+          case 'loss-hold-time':
+            displayValue += ' ms';
             break;
         }
         
@@ -570,10 +1437,30 @@ export class SettingsPanel {
       checkbox.checked = value;
     }
     
+    // セレクトボックスの更新
+    const select = document.getElementById(kebabSetting);
+    if (select && select.tagName === 'SELECT') {
+      select.value = value;
+      
+      if (setting === 'spanBinding' || setting === 'angleBinding') {
+        this.updateBindingOptions();
+      }
+    }
+    
     // 色の更新
     if (setting === 'colors' && Array.isArray(value)) {
       this.updateColorPickers(value);
     }
+    
+    // グラデーションの更新
+    if (setting === 'colorGradient' && Array.isArray(value)) {
+      this.updateGradientEditor(value);
+    }
+    
+    // エミッターの更新
+    if (setting === 'emitters' && Array.isArray(value)) {
+      this.updateEmitterEditor(value);
+    }
   }
 
   /**
@@ -581,10 +1468,11 @@ export class SettingsPanel {
    */
   resetSettings() {
     // デフォルト設定に戻す
-    this.updateAllSettings(Config.particles);
+    const defaults = this.getDefaultSettings();
+    this.updateAllSettings(defaults);
     
     // 変更を通知
-    this.eventEmitter.emit('ui:settingsReset', Config.particles);
+    this.eventEmitter.emit('ui:settingsReset', defaults);
   }
 
   /**
@@ -17,20 +17,26 @@ export class UIController {
     this.isControlPanelVisible = Config.ui.controlPanelVisible;
     this.isFullscreen = false;
     this.isCameraActive = false;
+    this.activeInputSource = null;
+    this.isRecording = false;
+    this.isPlaybackActive = false;
+    this.isSeeking = false;
     
     // ハンドトラッキングの状態
     this.handTrackingStatus = {
       isInitialized: false,
       isRunning: false,
       handsDetected: false,
-      lastUpdate: 0
+      lastUpdate: 0,
+      stats: null
     };
     
     // 粒子システムの状態
     this.particleSystemStatus = {
       activeParticles: 0,
       maxParticles: Config.particles.count,
-      fps: 0
+      fps: 0,
+      failedAllocations: 0
     };
     
     // ストレージの状態
@@ -53,6 +59,17 @@ export class UIController {
       controlPanel: document.getElementById('control-panel'),
       statusBar: document.getElementById('status-bar'),
       startCameraBtn: document.getElementById('start-camera'),
+      pointerInputBtn: document.getElementById('pointer-input-button'),
+      playRecordingBtn: document.getElementById('play-recording-button'),
+      recordBtn: document.getElementById('record-button'),
+      recordingFileInput: document.getElementById('recording-file-input'),
+      playbackPanel: document.getElementById('playback-panel'),
+      playbackToggle: document.getElementById('playback-toggle'),
+      playbackSeek: document.getElementById('playback-seek'),
+      playbackTime: document.getElementById('playback-time'),
+      playbackSpeed: document.getElementById('playback-speed'),
+      playbackLoop: document.getElementById('playback-loop'),
+      playbackStop: document.getElementById('playback-stop'),
       captureBtn: document.getElementById('capture-button'),
       settingsBtn: document.getElementById('settings-button'),
       resetBtn: document.getElementById('reset-button'),
@@ -101,17 +118,53 @@ export class UIController {
     // カメラ開始ボタン
     if (this.elements.startCameraBtn) {
       DOMUtils.addEvent(this.elements.startCameraBtn, 'click', () => {
+        // ボタンの表示はinput:sourceChangedを受けて更新する
         if (!this.isCameraActive) {
           this.eventEmitter.emit('ui:startCamera');
-          this.elements.startCameraBtn.textContent = 'カメラ停止';
         } else {
           this.eventEmitter.emit('ui:stopCamera');
-          this.elements.startCameraBtn.textContent = 'カメラ開始';
         }
-        this.isCameraActive = !this.isCameraActive;
       });
     }
     
+    // ポインター入力ボタン（カメラのない環境向け）
+    if (this.elements.pointerInputBtn) {
+      DOMUtils.addEvent(this.elements.pointerInputBtn, 'click', () => {
+        if (this.activeInputSource !== 'pointer') {
+          this.eventEmitter.emit('ui:startPointer');
+        } else {
+          this.eventEmitter.emit('ui:stopPointer');
+        }
+      });
+    }
+    
+    // 記録再生ボタン（カメラの代わりに記録ファイルを入力として使う）
+    if (this.elements.playRecordingBtn && this.elements.recordingFileInput) {
+      DOMUtils.addEvent(this.elements.playRecordingBtn, 'click', () => {
+        this.elements.recordingFileInput.click();
+      });
+      
+      DOMUtils.addEvent(this.elements.recordingFileInput, 'change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        this.eventEmitter.emit('ui:playRecording', file);
+        
+        // 同じファイルを再選択できるようにリセット
+        e.target.value = '';
+      });
+    }
+    
+    // 記録ボタン
+    if (this.elements.recordBtn) {
+      DOMUtils.addEvent(this.elements.recordBtn, 'click', () => {
+        this.eventEmitter.emit(this.isRecording ? 'ui:stopRecording' : 'ui:startRecording');
+      });
+    }
+    
+    // 再生コントロール
+    this.setupPlaybackControls();
+    
     // キャプチャボタン
     if (this.elements.captureBtn) {
       DOMUtils.addEvent(this.elements.captureBtn, 'click', () => {
@@ -155,6 +208,62 @@ export class UIController {
     this.setupSettingsControls();
   }
 
+  /**
+   * 再生コントロールを設定
+   */
+  setupPlaybackControls() {
+    if (!this.elements.playbackPanel) return;
+    
+    DOMUtils.addEvent(this.elements.playbackToggle, 'click', () => {
+      this.eventEmitter.emit('ui:playbackToggle');
+    });
+    
+    DOMUtils.addEvent(this.elements.playbackStop, 'click', () => {
+      this.eventEmitter.emit('ui:stopPlayback');
+    });
+    
+    // シーク中は再生位置の通知で値が上書きされないようにする
+    DOMUtils.addEvent(this.elements.playbackSeek, 'input', (e) => {
+      this.isSeeking = true;
+      this.updatePlaybackTime(parseFloat(e.target.value), parseFloat(e.target.max));
+    });
+    
+    DOMUtils.addEvent(this.elements.playbackSeek, 'change', (e) => {
+      this.isSeeking = false;
+      this.eventEmitter.emit('ui:playbackSeek', parseFloat(e.target.value));
+    });
+    
+    DOMUtils.addEvent(this.elements.playbackSpeed, 'change', (e) => {
+      this.eventEmitter.emit('ui:playbackSpeed', parseFloat(e.target.value));
+    });
+    
+    DOMUtils.addEvent(this.elements.playbackLoop, 'change', (e) => {
+      this.eventEmitter.emit('ui:playbackLoop', e.target.checked);
+    });
+  }
+
+  /**
+   * 再生コントロールの表示/非表示を切り替え
+   * @param {boolean} visible 表示する場合はtrue
+   */
+  setPlaybackPanelVisible(visible) {
+    if (this.elements.playbackPanel) {
+      this.elements.playbackPanel.style.display = visible ? 'flex' : 'none';
+    }
+  }
+
+  /**
+   * 再生時間の表示を更新
+   * @param {number} currentTime 現在の再生位置（ミリ秒）
+   * @param {number} duration 記録の長さ（ミリ秒）
+   */
+  updatePlaybackTime(currentTime, duration) {
+    if (this.elements.playbackTime) {
+      this.elements.playbackTime.textContent =
+        `${(currentTime / 1000).toFixed(1)} / ${(duration / 1000).toFixed(1)} s`;
+    }
+  }
+
   /**
    * 設定パネルのコントロールを設定
    */
@@ -201,7 +310,7 @@ export class UIController {
       gravitySlider.value = Config.particles.gravity;
       DOMUtils.addEvent(gravitySlider, 'input', (e) => {
         const gravity = parseFloat(e.target.value);
-        document.getElementById('gravity-value').textContent = gravity.toFixed(2);
+        document.getElementById('gravity-value').textContent = gravity.toFixed(0);
       });
       
       DOMUtils.addEvent(gravitySlider, 'change', (e) => {
@@ -236,12 +345,12 @@ export class UIController {
     if (lifetimeSlider) {
       lifetimeSlider.value = Config.particles.lifetime;
       DOMUtils.addEvent(lifetimeSlider, 'input', (e) => {
-        const lifetime = parseInt(e.target.value, 10);
-        document.getElementById('lifetime-value').textContent = lifetime;
+        const lifetime = parseFloat(e.target.value);
+        document.getElementById('lifetime-value').textContent = `${lifetime} s`;
       });
       
       DOMUtils.addEvent(lifetimeSlider, 'change', (e) => {
-        const lifetime = parseInt(e.target.value, 10);
+        const lifetime = parseFloat(e.target.value);
         this.eventEmitter.emit('ui:settingChanged', { 
           setting: 'lifetime', 
           value: lifetime 
@@ -266,6 +375,20 @@ export class UIController {
    * イベントエミッタのイベントを購読
    */
   subscribeToEvents() {
+    // 入力ソースの切り替え
+    this.eventEmitter.on('input:sourceChanged', (source) => {
+      this.activeInputSource = source;
+      this.isCameraActive = source === 'camera';
+      
+      if (this.elements.startCameraBtn) {
+        this.elements.startCameraBtn.textContent = this.isCameraActive ? 'カメラ停止' : 'カメラ開始';
+      }
+      if (this.elements.pointerInputBtn) {
+        this.elements.pointerInputBtn.textContent = source === 'pointer' ? 'ポインター停止' : 'ポインター入力';
+      }
+      this.updateStatusText();
+    });
+    
     // ハンドトラッキングの状態更新
     this.eventEmitter.on('handTracker:started', () => {
       this.handTrackingStatus.isInitialized = true;
@@ -293,10 +416,82 @@ export class UIController {
       this.showError('ハンドトラッキングエラー', error.message);
     });
     
+    // セッション記録の状態更新
+    this.eventEmitter.on('recorder:started', () => {
+      this.isRecording = true;
+      if (this.elements.recordBtn) {
+        this.elements.recordBtn.textContent = '記録停止';
+      }
+      this.updateStatusText();
+    });
+    
+    this.eventEmitter.on('recorder:stopped', (recording, reason) => {
+      this.isRecording = false;
+      if (this.elements.recordBtn) {
+        this.elements.recordBtn.textContent = '記録開始';
+      }
+      if (reason === 'limit') {
+        this.showNotification(`記録の上限に達したため停止しました（${recording.frameCount}フレーム）`);
+      } else {
+        this.showNotification(`${recording.frameCount}フレームを記録しました`);
+      }
+      this.updateStatusText();
+    });
+    
+    // セッション再生の状態更新
+    this.eventEmitter.on('player:loaded', ({ duration }) => {
+      if (this.elements.playbackSeek) {
+        this.elements.playbackSeek.max = duration;
+        this.elements.playbackSeek.value = 0;
+      }
+      this.updatePlaybackTime(0, duration);
+      this.setPlaybackPanelVisible(true);
+    });
+    
+    this.eventEmitter.on('player:started', () => {
+      this.isPlaybackActive = true;
+      if (this.elements.playbackToggle) {
+        this.elements.playbackToggle.textContent = '一時停止';
+      }
+      this.updateStatusText();
+    });
+    
+    this.eventEmitter.on('player:stopped', () => {
+      if (this.elements.playbackToggle) {
+        this.elements.playbackToggle.textContent = '再生';
+      }
+      this.updateStatusText();
+    });
+    
+    this.eventEmitter.on('player:unloaded', () => {
+      this.isPlaybackActive = false;
+      this.setPlaybackPanelVisible(false);
+      this.updateStatusText();
+    });
+    
+    this.eventEmitter.on('player:progress', ({ currentTime, duration }) => {
+      if (this.isSeeking) return;
+      if (this.elements.playbackSeek) {
+        this.elements.playbackSeek.value = currentTime;
+      }
+      this.updatePlaybackTime(currentTime, duration);
+    });
+    
+    this.eventEmitter.on('player:error', (error) => {
+      this.showError('再生エラー', error.message);
+    });
+    
+    // 推論のレートと遅延の更新
+    this.eventEmitter.on('handTracker:stats', (stats) => {
+      this.handTrackingStatus.stats = stats;
+      this.updateStatusText();
+    });
+    
     // 粒子システムの状態更新
     this.eventEmitter.on('particleSystem:status', (status) => {
       this.particleSystemStatus.activeParticles = status.activeParticles;
       this.particleSystemStatus.maxParticles = status.maxParticles;
+      this.particleSystemStatus.failedAllocations = status.failedAllocations || 0;
       this.updateStatusText();
     });
     
@@ -484,6 +679,19 @@ export class UIController {
       status += '📷 カメラ: オフ ';
     }
     
+    // ポインター入力の状態
+    if (this.activeInputSource === 'pointer') {
+      status += '🖱 ポインター入力 ';
+    }
+    
+    // 記録・再生の状態
+    if (this.isRecording) {
+      status += '⏺ 記録中 ';
+    }
+    if (this.isPlaybackActive) {
+      status += '▶ 再生中 ';
+    }
+    
     // 手の検出状態
     if (this.handTrackingStatus.handsDetected) {
       status += '👋 手: 検出中 ';
@@ -493,8 +701,21 @@ export class UIController {
       status += '👋 手: 停止中 ';
     }
     
+    // 推論のレートと遅延（カメラ使用時のみ）
+    const stats = this.handTrackingStatus.stats;
+    if (this.isCameraActive && stats) {
+      const backend = stats.backend === 'worker' ? 'ワーカー' : 'メイン';
+      status += `🧠 推論(${backend}): ${stats.inferenceRate.toFixed(1)}/${stats.targetRate}Hz ${Math.round(stats.latency)}ms `;
+      if (stats.droppedFrames > 0) {
+        status += `(破棄: ${stats.droppedFrames}) `;
+      }
+    }
+    
     // 粒子の状態
     status += `✨ 粒子: ${this.particleSystemStatus.activeParticles}/${this.particleSystemStatus.maxParticles} `;
+    if (this.particleSystemStatus.failedAllocations > 0) {
+      status += `(確保失敗: ${this.particleSystemStatus.failedAllocations}) `;
+    }
     
     // FPSの状態
     status += `⚡ FPS: ${this.particleSystemStatus.fps} `;
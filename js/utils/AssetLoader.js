@@ -0,0 +1,111 @@
+/**
+ * AssetLoader.js
+ * 外部ライブラリ（Three.js、MediaPipe）の読み込みを行うユーティリティ
+ * ネットワークに接続できない環境のため、ローカルの配置先を先に試し、見つからなければCDNから読み込む
+ */
+
+import { Config } from '../config.js';
+
+// 読み込み済みのスクリプト（URL → Promise）
+const loadedScripts = new Map();
+
+// ライブラリを読み込めた候補（グローバル変数名 → 候補のURL）
+const libraryLocations = new Map();
+
+export const AssetLoader = {
+  /**
+   * アセットの読み込み候補を取得
+   * @param {Object} asset アセットの設定 { name, local, cdn }
+   * @return {string[]} 試す順に並べたURL
+   */
+  getCandidates: (asset) => {
+    const candidates = [];
+    if (asset.local) candidates.push(asset.local);
+    if (asset.cdn && Config.assets.cdnFallback) candidates.push(asset.cdn);
+    return candidates;
+  },
+
+  /**
+   * scriptタグでスクリプトを読み込む
+   * @param {string} url スクリプトのURL
+   * @return {Promise<void>} 読み込みが完了すると解決
+   */
+  loadScript: (url) => {
+    if (loadedScripts.has(url)) return loadedScripts.get(url);
+    
+    const promise = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = url;
+      script.crossOrigin = 'anonymous';
+      script.onload = () => resolve();
+      script.onerror = () => {
+        // 失敗したタグは残さない（同じURLを再試行できるようにする）
+        script.remove();
+        loadedScripts.delete(url);
+        reject(new Error(`Failed to load script: ${url}`));
+      };
+      document.head.appendChild(script);
+    });
+    
+    loadedScripts.set(url, promise);
+    return promise;
+  },
+
+  /**
+   * 候補を順に試してライブラリを読み込む
+   * @param {Object} asset アセットの設定 { name, local, cdn }
+   * @param {string} globalName 読み込み後に定義されるグローバル変数名
+   * @param {string} [file=''] 候補のURLに付け足すファイル名（候補がディレクトリの場合）
+   * @return {Promise<string>} 読み込めた候補のURL
+   */
+  loadLibrary: async (asset, globalName, file = '') => {
+    const candidates = AssetLoader.getCandidates(asset);
+    
+    // すでに読み込まれている場合は実際に読み込んだ場所を返す（index.htmlで直接読み込んだ場合はscriptタグから探す）
+    if (window[globalName]) {
+      return libraryLocations.get(globalName) || AssetLoader.findScriptLocation(file) || candidates[0];
+    }
+    
+    for (const candidate of candidates) {
+      try {
+        await AssetLoader.loadScript(candidate + file);
+        if (window[globalName]) {
+          console.log(`${asset.name} loaded from ${candidate}`);
+          libraryLocations.set(globalName, candidate);
+          return candidate;
+        }
+      } catch (error) {
+        console.warn(`${asset.name} not found at ${candidate + file}`);
+      }
+    }
+    
+    throw AssetLoader.createError(asset, candidates.map(candidate => candidate + file));
+  },
+
+  /**
+   * 読み込み済みのscriptタグからファイルの置かれた場所を探す
+   * @param {string} file ファイル名
+   * @return {string|null} ファイル名を除いたURL（見つからない場合はnull）
+   */
+  findScriptLocation: (file) => {
+    if (!file) return null;
+    
+    const script = Array.from(document.scripts).find(element =>
+      element.src && new URL(element.src).pathname.endsWith(`/${file}`)
+    );
+    return script ? script.src.slice(0, script.src.lastIndexOf(file)) : null;
+  },
+
+  /**
+   * 読み込みに失敗したアセットを示すエラーを作成
+   * @param {Object} asset アセットの設定 { name, local, cdn }
+   * @param {string[]} urls 試したURL
+   * @return {Error} エラー（assetとurlsを持つ）
+   */
+  createError: (asset, urls) => {
+    const error = new Error(`「${asset.name}」を読み込めませんでした（${urls.join('、') || '読み込み先が設定されていません'}）`);
+    error.asset = asset.name;
+    error.urls = urls;
+    return error;
+  }
+};
@@ -30,6 +30,14 @@ export const MathUtils = {
    */
   distance: (x1, y1, x2, y2) => Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2),
   
+  /**
+   * 3次元の2点間の距離を計算
+   * @param {Object} p1 点1 { x, y, z }
+   * @param {Object} p2 点2 { x, y, z }
+   * @return {number} 距離
+   */
+  distance3D: (p1, p2) => Math.sqrt((p2.x - p1.x) ** 2 + (p2.y - p1.y) ** 2 + (p2.z - p1.z) ** 2),
+  
   /**
    * 値を別の範囲にマッピング
    * @param {number} value 元の値
@@ -73,4 +81,30 @@ export const MathUtils = {
    * @return {number} 補間値
    */
   lerp: (start, end, t) => start * (1 - t) + end * t,
+  
+  /**
+   * エルミート補間による滑らかなステップ関数
+   * @param {number} edge0 下限
+   * @param {number} edge1 上限
+   * @param {number} value 入力値
+   * @return {number} 0～1の値
+   */
+  smoothstep: (edge0, edge1, value) => {
+    const t = Math.min(Math.max((value - edge0) / (edge1 - edge0), 0), 1);
+    return t * t * (3 - 2 * t);
+  },
+  
+  /**
+   * 等間隔の点で表した曲線の値を線形補間で取得
+   * @param {number[]} points 曲線の値（先頭がt=0、末尾がt=1）
+   * @param {number} t 位置（0～1）
+   * @return {number} 補間値
+   */
+  sampleCurve: (points, t) => {
+    if (points.length === 1) return points[0];
+    const position = Math.min(Math.max(t, 0), 1) * (points.length - 1);
+    const index = Math.min(Math.floor(position), points.length - 2);
+    const f = position - index;
+    return points[index] * (1 - f) + points[index + 1] * f;
+  },
 };